@@ -10,6 +10,7 @@
  * ============================================================
  *  Token space rules:
  *    ~[0-9a-n][0-9a-zA-Z]    = built-in word    (indices 0–1467)
+ *    ~n[G-Z]                 = built-in phrase  (indices 1468–1487)
  *    ~[A-Z][0-9a-zA-Z][a-o]  = suffix/stem word (4 chars)
  *    ~[o-z][0-9a-zA-Z]       = CUSTOM word      (indices 1500–2231)
  *
@@ -18,31 +19,73 @@
  *  mathematically — no runtime checks needed.
  *
  *  Input rules:
- *    • Only .txt and .md files are accepted
- *    • Markdown syntax is stripped before word counting
+ *    • .txt .md .log .json .ndjson .csv .html files are accepted
+ *    • Markdown syntax and HTML tags are stripped before word counting
+ *    • JSON / NDJSON: every string value, or --json-path picks
+ *    • CSV: every column, or --csv-column picks (first row = header)
+ *    • Directories are read recursively; quoted globs are expanded
  *    • Minimum word length: 4 characters
  *    • Maximum custom dictionary size: 744 words
  *    • Words already covered by built-in dict are REJECTED
  *    • Words already covered by suffix stemming are REJECTED
  *    • Only genuinely new words are accepted
+ *    • Frequent 2–4 word phrases are mined too (--phrases, default 50)
+ *    • Words are ranked by frequency, or by chars saved
+ *      (--rank savings: frequency × (length − 3))
  *
  *  Usage:
  *    node symblex-cli.js                         Show help
  *    node symblex-cli.js build  --input file.txt file.md
+ *    node symblex-cli.js build  --input new.txt --base symblex-custom.json
+ *    node symblex-cli.js build  --input file.txt --rank savings
+ *    node symblex-cli.js build  --input logs/ --json-path message
  *    node symblex-cli.js analyse --input corpus.txt
- *    node symblex-cli.js verify  --input mydict.json
+ *    node symblex-cli.js verify  mydict.json [--fix] [--out fixed.json]
+ *    node symblex-cli.js diff    old.json new.json
+ *    node symblex-cli.js migrate old.json new.json --file data.txt --out new.txt
  *    node symblex-cli.js test    "your text"
  *    node symblex-cli.js info
+ *
+ *  Add --json to any command for one machine-readable JSON
+ *  document on stdout instead of the tables. Exit code is 1 on
+ *  errors (bad input, verify errors, lossy migrate
+ *  entries), 0 otherwise.
  * ============================================================
  */
 
 'use strict';
 
-var fs   = require('fs');
-var path = require('path');
+var fs       = require('fs');
+var path     = require('path');
+var readline = require('readline');
+
+/* ─── Output ─────────────────────────────────────────────────── */
+/* With --json the human report is silenced and finish() prints one
+   JSON document instead: every command's results, plus each error
+   and warning that would have been printed. */
+var JSON_OUT = process.argv.slice(3).indexOf('--json') >= 0;
+var report   = { command: process.argv[2] || '', ok: true, errors: [], warnings: [] };
+
+var SAY_ERR  = false;   /* migrate to stdout: the report goes to stderr */
+
+function say(line) {
+  if (!JSON_OUT) (SAY_ERR ? console.error : console.log)(line);
+}
+
+function plain(msg) {
+  return String(msg).replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+function finish(code) {
+  if (JSON_OUT) {
+    report.ok = code === 0;
+    (SAY_ERR ? console.error : console.log)(JSON.stringify(report, null, 2));
+  }
+  process.exit(code);
+}
 
 /* ─── ANSI colour helpers ───────────────────────────────────── */
-var USE_COLOR = process.stdout.isTTY !== false;
+var USE_COLOR = !JSON_OUT && process.stdout.isTTY !== false;
 
 var C = {
   reset:    USE_COLOR ? '\x1b[0m'  : '',
@@ -77,54 +120,54 @@ function boxLine(width) {
 }
 
 function printHeader() {
-  console.log('');
-  console.log(co('cyan', BOX.tl + boxLine(62) + BOX.tr));
-  console.log(co('cyan', BOX.v) + bold(co('blue',
+  say('');
+  say(co('cyan', BOX.tl + boxLine(62) + BOX.tr));
+  say(co('cyan', BOX.v) + bold(co('blue',
     '   ███████╗██╗   ██╗███╗   ███╗██████╗ ██╗     ███████╗██╗  ██╗  ')) + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.v) + bold(co('blue',
+  say(co('cyan', BOX.v) + bold(co('blue',
     '   ██╔════╝╚██╗ ██╔╝████╗ ████║██╔══██╗██║     ██╔════╝╚██╗██╔╝  ')) + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.v) + bold(co('blue',
+  say(co('cyan', BOX.v) + bold(co('blue',
     '   ███████╗ ╚████╔╝ ██╔████╔██║██████╔╝██║     █████╗   ╚███╔╝   ')) + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.v) + bold(co('blue',
+  say(co('cyan', BOX.v) + bold(co('blue',
     '   ╚════██║  ╚██╔╝  ██║╚██╔╝██║██╔══██╗██║     ██╔══╝   ██╔██╗   ')) + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.v) + bold(co('blue',
+  say(co('cyan', BOX.v) + bold(co('blue',
     '   ███████║   ██║   ██║ ╚═╝ ██║██████╔╝███████╗███████╗██╔╝ ██╗  ')) + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.v) + bold(co('blue',
+  say(co('cyan', BOX.v) + bold(co('blue',
     '   ╚══════╝   ╚═╝   ╚═╝     ╚═╝╚═════╝ ╚══════╝╚══════╝╚═╝  ╚═╝  ')) + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.ml + boxLine(62) + BOX.mr));
-  console.log(co('cyan', BOX.v) + co('yellow',
+  say(co('cyan', BOX.ml + boxLine(62) + BOX.mr));
+  say(co('cyan', BOX.v) + co('yellow',
     '   Custom Dictionary Builder CLI  v3.1.0                          ') + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.v) + co('white',
+  say(co('cyan', BOX.v) + co('white',
     '   Creator : Prapan Biswas                                        ') + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.v) + co('dim',
+  say(co('cyan', BOX.v) + co('dim',
     '   GitHub  : https://github.com/prapanbiswas/symblex              ') + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.v) + co('dim',
+  say(co('cyan', BOX.v) + co('dim',
     '   License : Apache License 2.0                                   ') + co('cyan', BOX.v));
-  console.log(co('cyan', BOX.bl + boxLine(62) + BOX.br));
-  console.log('');
+  say(co('cyan', BOX.bl + boxLine(62) + BOX.br));
+  say('');
 }
 
 function printSectionHeader(title) {
   var pad = Math.max(0, 58 - title.length);
-  console.log('');
-  console.log(co('cyan', BOX.sl + BOX.sh.repeat(2) + ' ') + bold(co('yellow', title)) + co('cyan', ' ' + BOX.sh.repeat(pad) + BOX.sr));
+  say('');
+  say(co('cyan', BOX.sl + BOX.sh.repeat(2) + ' ') + bold(co('yellow', title)) + co('cyan', ' ' + BOX.sh.repeat(pad) + BOX.sr));
 }
 
 function printRow(label, value, color) {
   color = color || 'white';
   var l = ('  ' + label).padEnd(30);
-  console.log(co('dim', BOX.sv) + ' ' + dim(l) + co(color, value));
+  say(co('dim', BOX.sv) + ' ' + dim(l) + co(color, value));
 }
 
 function printDivider() {
-  console.log(co('dim', '  ' + BOX.sh.repeat(58)));
+  say(co('dim', '  ' + BOX.sh.repeat(58)));
 }
 
-function printSuccess(msg) { console.log(co('green',  '  ✓  ') + msg); }
-function printError(msg)   { console.log(co('red',    '  ✗  ') + msg); }
-function printWarn(msg)    { console.log(co('yellow', '  ⚠  ') + msg); }
-function printInfo(msg)    { console.log(co('cyan',   '  ℹ  ') + msg); }
-function printSkip(msg)    { console.log(co('dim',    '  ─  ') + msg); }
+function printSuccess(msg) { say(co('green',  '  ✓  ') + msg); }
+function printError(msg)   { if (JSON_OUT) report.errors.push(plain(msg));   say(co('red',    '  ✗  ') + msg); }
+function printWarn(msg)    { if (JSON_OUT) report.warnings.push(plain(msg)); say(co('yellow', '  ⚠  ') + msg); }
+function printInfo(msg)    { say(co('cyan',   '  ℹ  ') + msg); }
+function printSkip(msg)    { say(co('dim',    '  ─  ') + msg); }
 
 function progressBar(done, total, width) {
   width = width || 40;
@@ -150,22 +193,22 @@ function printTable(headers, rows, colors) {
   var mline  = BOX.ml + widths.map(function (w) { return BOX.mh.repeat(w + 2); }).join(BOX.mh + BOX.mh) + BOX.mr;
   var bline  = BOX.sb + widths.map(function (w) { return BOX.sh.repeat(w + 2); }).join(BOX.sh + BOX.sh) + BOX.se;
 
-  console.log(co('dim', '  ' + hline));
+  say(co('dim', '  ' + hline));
   var headerRow = co('dim', '  ' + BOX.sv) +
     headers.map(function (h, i) {
       return ' ' + bold(co('cyan', h.padEnd(widths[i]))) + ' ';
     }).join(co('dim', BOX.sv)) + co('dim', BOX.sv);
-  console.log(headerRow);
-  console.log(co('dim', '  ' + mline));
+  say(headerRow);
+  say(co('dim', '  ' + mline));
   rows.forEach(function (row, ri) {
     var line = co('dim', '  ' + BOX.sv) +
       row.map(function (cell, ci) {
         var color = (colors[ri] && colors[ci]) ? colors[ri][ci] : 'white';
         return ' ' + co(color, String(cell).padEnd(widths[ci])) + ' ';
       }).join(co('dim', BOX.sv)) + co('dim', BOX.sv);
-    console.log(line);
+    say(line);
   });
-  console.log(co('dim', '  ' + bline));
+  say(co('dim', '  ' + bline));
 }
 
 /* ─── Token system ───────────────────────────────────────────── */
@@ -182,6 +225,17 @@ function customTokenFor(customIdx) {
   return '~' + B62[Math.floor(absIdx / 62)] + B62[absIdx % 62];
 }
 
+function customIndexOf(tok) {
+  /* 0-based index within custom range (negative for ~o0–~ob) */
+  return B62.indexOf(tok[1]) * 62 + B62.indexOf(tok[2]) - CUSTOM_START_IDX;
+}
+
+/* Chars one use of a word saves as a custom token */
+var CUSTOM_TOKEN_LEN = 3;
+function wordGain(word) {
+  return Math.max(0, word.length - CUSTOM_TOKEN_LEN);
+}
+
 function isCustomToken(tok) {
   if (!tok || tok[0] !== '~' || tok.length !== 3) return false;
   var fc = tok[1];
@@ -199,6 +253,10 @@ function isSuffixToken(tok) {
   return tok[1] >= 'A' && tok[1] <= 'Z';
 }
 
+function isExtToken(tok) {
+  return !!tok && tok[0] === '~' && tok[1] === '.';
+}
+
 /* ─── Load Symblex (for verification) ───────────────────────── */
 var _sx = null;
 function loadSymblex() {
@@ -209,7 +267,7 @@ function loadSymblex() {
   } catch (e) {
     printError('Cannot load symblex.js — make sure it is in the same directory');
     printInfo('Run: git clone https://github.com/prapanbiswas/symblex.git');
-    process.exit(1);
+    finish(1);
   }
 }
 
@@ -220,7 +278,14 @@ var SUFFIX_STRIP = [
   ['er'],   ['ly'],   ['es'],   ['s']
 ];
 
-function isCoveredByStem(word, sx) {
+function isCoveredByStem(word, sx, codec) {
+  /* Custom roots: codec holds the dict the build is heading for */
+  if (codec) {
+    var tok = codec.lookup(word);
+    if (!isExtToken(tok)) return null;
+    var body = tok.slice(2).replace(/^[A-Z]/, '').slice(0, 2);
+    return codec.reverse('~' + body) + ' (custom root)';
+  }
   for (var i = 0; i < SUFFIX_STRIP.length; i++) {
     var sfx = SUFFIX_STRIP[i][0];
     if (word.length <= sfx.length) continue;
@@ -232,6 +297,285 @@ function isCoveredByStem(word, sx) {
   return null;
 }
 
+/* ─── Phrase mining ──────────────────────────────────────────── */
+/* Phrases are 2–4 words joined by single spaces, as symblex.js matches them */
+var PHRASE_MAX_WORDS = 4;
+
+/* Word runs of `text` a phrase can sit in, lower-cased and split */
+function phraseRuns(text) {
+  return (text.toLowerCase().match(/[a-z]+(?: [a-z]+)+/g) || []).map(function (run) {
+    return run.split(' ');
+  });
+}
+
+/* Calls fn(phrase, run index, word index) for every 2–4 word n-gram */
+function eachPhrase(runs, fn) {
+  runs.forEach(function (words, r) {
+    for (var i = 0; i < words.length; i++) {
+      for (var n = 2; n <= PHRASE_MAX_WORDS && i + n <= words.length; n++) {
+        fn(words.slice(i, i + n).join(' '), r, i);
+      }
+    }
+  });
+}
+
+function countPhrases(runs, counts) {
+  eachPhrase(runs, function (phrase) { counts[phrase] = (counts[phrase] || 0) + 1; });
+}
+
+/* Phrases worth a token, best first: { phrase, freq, gain } where gain
+   is the chars one use saves over encoding its words one by one — taking
+   every 4+ letter word as a 3-char token, since frequent ones get a slot.
+   A phrase that never occurs outside a longer one is left to that one. */
+function minePhrases(counts, runs, sx, minFreq) {
+  var inside = Object.create(null);
+  Object.keys(counts).forEach(function (phrase) {
+    var words = phrase.split(' ');
+    if (words.length < 3) return;
+    [words.slice(1).join(' '), words.slice(0, -1).join(' ')].forEach(function (sub) {
+      if (counts[sub] === counts[phrase]) inside[sub] = true;
+    });
+  });
+  var out = [];
+  Object.keys(counts).forEach(function (phrase) {
+    if (counts[phrase] < minFreq || inside[phrase]) return;
+    var tok = sx.lookup(phrase);
+    if (tok && isBuiltinToken(tok)) return;
+    var cost = phrase.split(' ').reduce(function (sum, w) {
+      return sum + 1 + Math.min(sx.encode(w).length, w.length >= 4 ? 3 : w.length);
+    }, -1);
+    var gain = cost - 3;
+    if (gain > 0) out.push({ phrase: phrase, freq: counts[phrase], gain: gain });
+  });
+  return claimPhrases(out, runs, minFreq);
+}
+
+function phraseBefore(a, b) {
+  return b.freq * b.gain - a.freq * a.gain || a.phrase.localeCompare(b.phrase);
+}
+
+/* Takes the best candidate, gives it the uses no phrase taken before
+   it holds a word of, and re-ranks it when it lost some. "support
+   ticket customer" only ever occurs inside repeats of "customer support
+   ticket", so once that one is taken the rotation keeps no uses and is
+   dropped. Uses of one phrase do not overlap ("ha ha" is in "ha ha ha"
+   once), and freq becomes the uses a candidate keeps. */
+function claimPhrases(cands, runs, minFreq) {
+  var at = Object.create(null);   /* phrase → [run, word] of each use */
+  cands.forEach(function (c) { at[c.phrase] = []; });
+  eachPhrase(runs, function (phrase, r, i) {
+    if (at[phrase]) at[phrase].push([r, i]);
+  });
+  var taken = runs.map(function () { return null; });
+  var queue = cands.sort(phraseBefore);
+  var out   = [];
+  while (queue.length) {
+    var c    = queue.shift();
+    var n    = c.phrase.split(' ').length;
+    var last = [-1, 0];   /* a use may not overlap the one before it */
+    var uses = at[c.phrase] = at[c.phrase].filter(function (use) {
+      var t = taken[use[0]];
+      if (use[0] === last[0] && use[1] < last[1]) return false;
+      for (var k = 0; t && k < n; k++) if (t[use[1] + k]) return false;
+      last = [use[0], use[1] + n];
+      return true;
+    });
+    if (uses.length < minFreq) continue;
+    if (uses.length < c.freq) {
+      c.freq = uses.length;
+      var j = 0;
+      while (j < queue.length && phraseBefore(queue[j], c) < 0) j++;
+      queue.splice(j, 0, c);
+      continue;
+    }
+    uses.forEach(function (use) {
+      var t = taken[use[0]] || (taken[use[0]] = []);
+      for (var k = 0; k < n; k++) t[use[1] + k] = true;
+    });
+    out.push(c);
+  }
+  return out;
+}
+
+/* ─── Custom dict verification ───────────────────────────────── */
+/* Words symblex.js can match: [a-z] words, or phrases of them joined by
+   single spaces. _mergeCustomDict() drops anything under 4 chars. */
+var DICT_WORD_RE = /^[a-z]+(?: [a-z]+)*$/;
+var DICT_MIN_LEN = 4;
+
+/* Why `tok` can't be a custom token, or null if it can */
+function badCustomToken(tok) {
+  if (typeof tok !== 'string' || tok[0] !== '~') return 'invalid token ' + JSON.stringify(tok);
+  if (isBuiltinToken(tok)) return 'built-in range token ' + tok + ' — must use ~[o-z]XX range';
+  if (isSuffixToken(tok))  return 'suffix range token ' + tok;
+  if (tok.length !== 3 || B62.indexOf(tok[1]) < 0 || B62.indexOf(tok[2]) < 0) return 'unrecognised token format: ' + tok;
+  var idx = customIndexOf(tok) + CUSTOM_START_IDX;
+  if (idx > CUSTOM_END_IDX) return 'token ' + tok + ' at index ' + idx + ', beyond ~zZ (' + CUSTOM_END_IDX + ')';
+  return null;
+}
+
+/* Every problem in a parsed custom dict, and the dict with each one
+   repaired: { errors, warns, checked, ok, fixed }. Where symblex.js
+   resolves a clash itself (the later of two entries wins, encode beats
+   decode) the repair keeps its choice, so stored text decodes as
+   before. Invalid words are dropped, words with a bad or lost token get
+   one the file never used, decode is rebuilt as the exact inverse of
+   encode and the total / token_range metadata is recomputed. */
+function verifyDict(dict, sx) {
+  var errors  = [];
+  var warns   = [];
+  var checked = 0;
+  var ok      = 0;
+  var enc     = dict && typeof dict.encode === 'object' && dict.encode ? dict.encode : null;
+  var dec     = dict && typeof dict.decode === 'object' && dict.decode ? dict.decode : {};
+  if (!enc) {
+    errors.push('No "encode" map — not a custom dictionary');
+    return { errors: errors, warns: warns, checked: 0, ok: 0, fixed: null };
+  }
+
+  /* Pass 1: each encode entry on its own */
+  var entries = [];               /* { word, token } kept, token null = needs a new one */
+  var seen    = Object.create(null);   /* lowercase word → its entry */
+  Object.keys(enc).forEach(function (word) {
+    checked++;
+    var tok   = enc[word];
+    var lower = word.toLowerCase();
+    if (!DICT_WORD_RE.test(lower)) {
+      errors.push('"' + word + '" is not pure [a-z] — it can never match' +
+        (lower.indexOf(' ') >= 0 ? ' (phrases are letters joined by single spaces)' : ''));
+      return;
+    }
+    if (lower.length < DICT_MIN_LEN) {
+      errors.push('"' + word + '" is under ' + DICT_MIN_LEN + ' chars — symblex.js drops it on load');
+      return;
+    }
+    if (lower !== word) warns.push('"' + word + '" has uppercase letters — it is loaded as "' + lower + '"');
+    var bad   = badCustomToken(tok);
+    var entry = { word: lower, token: bad ? null : tok };
+    if (seen[lower]) {
+      /* Loaded lowercase, so the later entry replaces the earlier one */
+      errors.push('"' + word + '" duplicates "' + seen[lower].key + '" — words are loaded lowercase, the later one wins');
+      if (seen[lower].token) ok--;
+      entries.splice(entries.indexOf(seen[lower]), 1);
+    }
+    entry.key = word;
+    seen[lower] = entry;
+    entries.push(entry);
+    if (bad) {
+      errors.push('"' + word + '" has ' + bad);
+      return;
+    }
+    if (customIndexOf(tok) < 0) {
+      warns.push('"' + word + '" uses ' + tok + ', below the builder range ~oc–~zZ');
+    }
+    var covTok = sx.lookup(lower);
+    if (covTok && !isCustomToken(covTok)) {
+      warns.push('"' + word + '" is already covered by built-in dict/stems (token: ' + covTok + ') — this entry is redundant');
+    }
+    ok++;
+  });
+
+  /* Pass 2: a token shared by several words stays with the one it
+     decodes to — the later entry, as symblex.js loads them — unless
+     the decode map names the earlier one; the others need a new token */
+  var owner = Object.create(null);
+  entries.forEach(function (e) {
+    if (!e.token) return;
+    var prev = owner[e.token];
+    if (!prev) { owner[e.token] = e; return; }
+    errors.push('Token ' + e.token + ' is mapped to both "' + prev.word + '" and "' + e.word + '"');
+    ok--;
+    if (dec[e.token] === prev.word) e.token = null;
+    else {
+      owner[e.token] = e;
+      prev.token = null;
+    }
+  });
+
+  /* Pass 3: decode must be the exact inverse of encode */
+  entries.forEach(function (e) {
+    if (!e.token) return;
+    if (!Object.prototype.hasOwnProperty.call(dec, e.token)) {
+      warns.push('Token ' + e.token + ' has no reverse entry in "decode" map');
+    } else if (dec[e.token] !== e.word) {
+      errors.push('decode maps ' + e.token + ' to "' + dec[e.token] + '" but encode maps "' + e.word + '" to it');
+    }
+  });
+  /* A decode-only token is a retired word kept so stored text still
+     decodes (build --base writes these); --fix keeps it as it is */
+  var retired = [];
+  Object.keys(dec).forEach(function (tok) {
+    if (owner[tok]) return;
+    var word = dec[tok];
+    if (!badCustomToken(tok) && typeof word === 'string' && word === word.toLowerCase() &&
+        DICT_WORD_RE.test(word) && word.length >= DICT_MIN_LEN) {
+      warns.push('decode entry ' + tok + ' → "' + word + '" is decode-only — it still decodes, encode never emits it');
+      retired.push({ word: word, token: tok });
+      return;
+    }
+    errors.push('decode entry ' + tok + ' → ' + JSON.stringify(word) + ' has no encode partner');
+  });
+
+  /* Words that lost their token get one the file never used, so no
+     stored token starts decoding to a different word */
+  var used = {};
+  Object.keys(enc).map(function (w) { return enc[w]; }).concat(Object.keys(dec)).forEach(function (tok) {
+    if (!badCustomToken(tok)) used[customIndexOf(tok)] = true;
+  });
+  var next = 0;
+  var full = false;
+  entries.forEach(function (e) {
+    if (e.token) return;
+    while (used[next]) next++;
+    if (next >= CUSTOM_CAPACITY) { full = true; return; }
+    used[next] = true;
+    e.token = customTokenFor(next);
+  });
+  if (full) errors.push('Not enough free tokens to re-assign every word — some are dropped by --fix');
+  entries = entries.filter(function (e) { return e.token; });
+
+  var idxs    = entries.map(function (e) { return customIndexOf(e.token); }).sort(function (a, b) { return a - b; });
+  var first   = idxs.length ? customTokenFor(idxs[0]) : null;
+  var last    = idxs.length ? customTokenFor(idxs[idxs.length - 1]) : null;
+  var entryCount = Object.keys(enc).length;
+
+  /* Metadata the builder writes */
+  if ('total' in dict && dict.total !== entryCount) {
+    errors.push('"total" is ' + JSON.stringify(dict.total) + ' but "encode" has ' + entryCount + ' entries');
+  }
+  if (dict.token_range && typeof dict.token_range === 'object') {
+    var encToks = Object.keys(enc).map(function (w) { return enc[w]; })
+      .filter(function (t) { return !badCustomToken(t); })
+      .sort(function (a, b) { return customIndexOf(a) - customIndexOf(b); });
+    var start = encToks[0] || null;
+    var end   = encToks[encToks.length - 1] || null;
+    if (dict.token_range.start !== start || dict.token_range.end !== end) {
+      errors.push('"token_range" is ' + dict.token_range.start + ' → ' + dict.token_range.end +
+        ' but the tokens span ' + start + ' → ' + end);
+    }
+  }
+
+  var fixed = {};
+  Object.keys(dict).forEach(function (k) { fixed[k] = dict[k]; });
+  fixed.encode = {};
+  fixed.decode = {};
+  entries.forEach(function (e) {
+    delete e.key;
+    fixed.encode[e.word]  = e.token;
+    fixed.decode[e.token] = e.word;
+  });
+  retired.forEach(function (e) { fixed.decode[e.token] = e.word; });
+  if ('total' in dict) fixed.total = entries.length;
+  if (dict.token_range && typeof dict.token_range === 'object') {
+    fixed.token_range = {};
+    Object.keys(dict.token_range).forEach(function (k) { fixed.token_range[k] = dict.token_range[k]; });
+    fixed.token_range.start = first;
+    fixed.token_range.end   = last;
+  }
+
+  return { errors: errors, warns: warns, checked: checked, ok: ok, fixed: fixed };
+}
+
 /* ─── Markdown stripper ──────────────────────────────────────── */
 function stripMarkdown(text) {
   return text
@@ -250,24 +594,212 @@ function stripMarkdown(text) {
     .replace(/[^\w\s]/g, ' ');
 }
 
+/* ─── HTML stripper ──────────────────────────────────────────── */
+var HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function stripHtml(text) {
+  return text
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<\/?(p|div|br|li|tr|td|th|h[1-6]|section|article|header|footer|blockquote|pre)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function (m, e) {
+      if (e[0] !== '#') return HTML_ENTITIES[e.toLowerCase()] || ' ';
+      var cp = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return cp > 0 && cp <= 0x10FFFF ? String.fromCodePoint(cp) : ' ';
+    });
+}
+
+/* ─── JSON / CSV extraction ──────────────────────────────────── */
+/* "events[].message" → ['events', '*', 'message'] */
+function parseJsonPath(p) {
+  return p.replace(/\[\]/g, '.*').replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+}
+
+/* Every string value under `value` (keys are not text) */
+function collectStrings(value, out) {
+  if (typeof value === 'string') out.push(value);
+  else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(function (k) { collectStrings(value[k], out); });
+  }
+}
+
+/* Strings at one path. `*` matches any key or index, and arrays are
+   walked through implicitly, so "message" finds it in every element
+   of a top-level array of events. */
+function selectJsonPath(value, segs, i, out) {
+  if (i === segs.length) return collectStrings(value, out);
+  if (!value || typeof value !== 'object') return;
+  var seg = segs[i];
+  if (Array.isArray(value) && seg !== '*' && !/^\d+$/.test(seg)) {
+    value.forEach(function (v) { selectJsonPath(v, segs, i, out); });
+  } else if (seg === '*') {
+    Object.keys(value).forEach(function (k) { selectJsonPath(value[k], segs, i + 1, out); });
+  } else if (Object.prototype.hasOwnProperty.call(value, seg)) {
+    selectJsonPath(value[seg], segs, i + 1, out);
+  }
+}
+
+/* Text of one parsed JSON document: the --json-path strings, or all of them */
+function jsonText(doc) {
+  var out = [];
+  if (jsonPaths.length) jsonPaths.forEach(function (p) { selectJsonPath(doc, parseJsonPath(p), 0, out); });
+  else collectStrings(doc, out);
+  return out.join('\n');
+}
+
+/* RFC 4180: quoted fields may hold commas, newlines and "" */
+function parseCsv(text) {
+  var rows  = [];
+  var row   = [];
+  var field = '';
+  var quoted = false;
+  for (var i = 0; i < text.length; i++) {
+    var ch = text[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (text[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+/* The first row is the header. --csv-column picks columns by header
+   name or 1-based number; without it every column is read. */
+function csvText(raw, fp) {
+  var rows = parseCsv(raw.replace(/^\uFEFF/, ''));
+  if (!rows.length) return '';
+  var header = rows[0].map(function (h) { return h.trim().toLowerCase(); });
+  var cols   = null;
+  if (csvColumns.length) {
+    cols = [];
+    csvColumns.forEach(function (c) {
+      var idx = /^\d+$/.test(c) ? parseInt(c, 10) - 1 : header.indexOf(c.trim().toLowerCase());
+      if (idx >= 0 && idx < header.length) cols.push(idx);
+      else printWarn(fp + ': no column "' + c + '"');
+    });
+  }
+  return rows.slice(1).map(function (row) {
+    return (cols ? cols.map(function (c) { return row[c] || ''; }) : row).join('\n');
+  }).join('\n');
+}
+
 /* ─── Read files ─────────────────────────────────────────────── */
+var INPUT_EXTS = ['.txt', '.md', '.log', '.json', '.ndjson', '.jsonl', '.csv', '.html', '.htm'];
+
 function readFile(fp) {
   var ext = path.extname(fp).toLowerCase();
-  if (ext !== '.txt' && ext !== '.md') {
-    printWarn('Skipping ' + fp + ' — only .txt and .md files are accepted');
+  if (INPUT_EXTS.indexOf(ext) < 0) {
+    printWarn('Skipping ' + fp + ' — only ' + INPUT_EXTS.join(' ') + ' files are accepted');
     return null;
   }
   if (!fs.existsSync(fp)) {
     printError('File not found: ' + fp);
     return null;
   }
+  var raw;
   try {
-    var raw = fs.readFileSync(fp, 'utf8');
-    return ext === '.md' ? stripMarkdown(raw) : raw;
+    raw = fs.readFileSync(fp, 'utf8');
   } catch (e) {
     printError('Cannot read ' + fp + ': ' + e.message);
     return null;
   }
+  var text;
+  if (ext === '.md') text = stripMarkdown(raw);
+  else if (ext === '.html' || ext === '.htm') return stripHtml(raw);
+  else if (ext === '.csv') text = csvText(raw, fp);
+  else if (ext === '.json') {
+    try {
+      text = jsonText(JSON.parse(raw));
+    } catch (e) {
+      printError('Cannot parse ' + fp + ': ' + e.message);
+      return null;
+    }
+  } else if (ext === '.ndjson' || ext === '.jsonl') {
+    var bad = 0;
+    text = raw.split('\n').map(function (line) {
+      if (!line.trim()) return '';
+      try { return jsonText(JSON.parse(line)); } catch (e) { bad++; return ''; }
+    }).join('\n');
+    if (bad) printWarn(fp + ': skipped ' + bad + ' line(s) that are not JSON');
+  } else text = raw;
+  return stripTags ? stripHtml(text) : text;
+}
+
+/* ─── Expand --input: directories and globs ─────────────────── */
+/* Dot-directories and node_modules are never walked into */
+function walkDir(dir, out) {
+  var entries;
+  try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch (e) { return; }
+  entries.forEach(function (ent) {
+    var fp = path.join(dir, ent.name);
+    if (ent.isDirectory()) {
+      if (ent.name[0] !== '.' && ent.name !== 'node_modules') walkDir(fp, out);
+    } else if (ent.isFile()) out.push(fp);
+  });
+}
+
+function isGlob(p) {
+  return /[*?{]/.test(p);
+}
+
+/* * and ? stay inside one directory, ** spans any number, {a,b} picks one */
+function globToRegExp(glob) {
+  var re    = '';
+  var depth = 0;
+  for (var i = 0; i < glob.length; i++) {
+    var ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+      else { re += '.*'; i++; }
+    }
+    else if (ch === '*') re += '[^/]*';
+    else if (ch === '?') re += '[^/]';
+    else if (ch === '{' && glob.indexOf('}', i) > i) { re += '(?:'; depth++; }
+    else if (ch === '}' && depth) { re += ')'; depth--; }
+    else if (ch === ',' && depth) re += '|';
+    else re += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp('^' + re + '$');
+}
+
+/* Each --input is a file, a directory (read recursively, supported
+   extensions only) or a glob the shell did not expand. Sorted, no
+   duplicates. */
+function expandInputs(list) {
+  var files = [];
+  list.forEach(function (arg) {
+    var norm = arg.split(path.sep).join('/');
+    if (isGlob(norm)) {
+      var parts = norm.split('/');
+      var fixed = [];
+      while (parts.length > 1 && !isGlob(parts[0])) fixed.push(parts.shift());
+      var base  = fixed.length ? fixed.join('/') || '/' : '.';
+      var re    = globToRegExp(norm.replace(/^\.\//, ''));
+      var found = [];
+      walkDir(base, found);
+      found = found.filter(function (fp) {
+        return re.test(fp.split(path.sep).join('/').replace(/^\.\//, ''));
+      });
+      if (!found.length) printWarn('No files match ' + arg);
+      files = files.concat(found.sort());
+    } else if (fs.existsSync(arg) && fs.statSync(arg).isDirectory()) {
+      var inDir = [];
+      walkDir(arg, inDir);
+      inDir = inDir.filter(function (fp) { return INPUT_EXTS.indexOf(path.extname(fp).toLowerCase()) >= 0; });
+      if (!inDir.length) printWarn('No ' + INPUT_EXTS.join(' ') + ' files in ' + arg);
+      files = files.concat(inDir.sort());
+    } else files.push(arg);
+  });
+  return files.filter(function (fp, i) { return files.indexOf(fp) === i; });
 }
 
 /* ─── Parse CLI args ─────────────────────────────────────────── */
@@ -281,6 +813,18 @@ var minFreq = 2;
 var verbose = false;
 var testText = '';
 var verifyFile = '';
+var positional = [];   /* diff / migrate: old.json new.json */
+var migrateFile  = '';
+var migrateField = '';
+var packedMode   = false;
+var baseFile = '';
+var maxPhrases = 50;
+var outGiven   = false;
+var fixMode    = false;
+var rankMode   = 'freq';
+var jsonPaths  = [];
+var csvColumns = [];
+var stripTags  = false;
 
 for (var i = 1; i < argv.length; i++) {
   var a = argv[i];
@@ -288,13 +832,25 @@ for (var i = 1; i < argv.length; i++) {
     i++;
     while (i < argv.length && !argv[i].startsWith('-')) inputs.push(argv[i++]);
     i--;
-  } else if (a === '--out'  || a === '-o')  { outFile    = argv[++i]; }
+  } else if (a === '--out'  || a === '-o')  { outFile    = argv[++i]; outGiven = true; }
   else if (a === '--top')                   { topN       = Math.min(parseInt(argv[++i]) || 744, CUSTOM_CAPACITY); }
   else if (a === '--minlen')                { minLen     = parseInt(argv[++i]) || 4; }
   else if (a === '--minfreq')               { minFreq    = parseInt(argv[++i]) || 2; }
   else if (a === '--verbose' || a === '-v') { verbose    = true; }
+  else if (a === '--base')                  { baseFile   = argv[++i] || ''; }
+  else if (a === '--phrases')               { maxPhrases = Math.max(0, parseInt(argv[++i], 10) || 0); }
+  else if (a === '--rank')                  { rankMode   = argv[++i] || ''; }
+  else if (a === '--json-path')             { jsonPaths  = jsonPaths.concat((argv[++i] || '').split(',').filter(Boolean)); }
+  else if (a === '--csv-column')            { csvColumns = csvColumns.concat((argv[++i] || '').split(',').filter(Boolean)); }
+  else if (a === '--strip-html')            { stripTags  = true; }
+  else if (a === '--json')                  { /* read up front: JSON_OUT */ }
+  else if (a === '--fix')                   { fixMode    = true; }
   else if (command === 'test')              { testText  += (testText ? ' ' : '') + a; }
+  else if (a === '--file')                  { migrateFile  = argv[++i] || ''; }
+  else if (a === '--field')                 { migrateField = argv[++i] || ''; }
+  else if (a === '--packed')                { packedMode   = true; }
   else if (command === 'verify')            { verifyFile = a; }
+  else if (command === 'diff' || command === 'migrate') { positional.push(a); }
 }
 
 /* ═══════════════════════════════════════════════════════════════
@@ -303,48 +859,70 @@ for (var i = 1; i < argv.length; i++) {
 if (!command || command === 'help' || command === '--help' || command === '-h') {
   printHeader();
 
-  console.log(bold(co('cyan', '  COMMANDS')));
-  console.log('');
+  say(bold(co('cyan', '  COMMANDS')));
+  say('');
   printTable(
     ['Command', 'Description'],
     [
-      ['build',   'Scan .txt/.md files and generate symblex-custom.json'],
+      ['build',   'Scan text, log, JSON, CSV, HTML files and generate symblex-custom.json'],
       ['analyse', 'Show corpus stats only — no file is written'],
-      ['verify',  'Check an existing custom dict JSON for errors'],
+      ['verify',  'Check a custom dict JSON deeply; --fix writes a repaired file'],
       ['test',    'Test encode/decode on a text string'],
       ['info',    'Show token space rules and built-in dict stats'],
+      ['diff',    'List words added, removed and re-tokened between two dicts'],
+      ['migrate', 'Re-encode stored text or packed payloads from one dict to another'],
     ],
     [
-      ['green','white'],['cyan','white'],['yellow','white'],['magenta','white'],['blue','white']
+      ['green','white'],['cyan','white'],['yellow','white'],['magenta','white'],['blue','white'],
+      ['yellow','white'],['green','white']
     ]
   );
 
-  console.log('');
-  console.log(bold(co('cyan', '  EXAMPLES')));
-  console.log('');
-  console.log('  ' + co('yellow','node symblex-cli.js') + ' build   --input corpus.txt notes.md');
-  console.log('  ' + co('yellow','node symblex-cli.js') + ' build   --input *.txt --top 300 --out my-dict.json');
-  console.log('  ' + co('yellow','node symblex-cli.js') + ' build   --input data.md --verbose');
-  console.log('  ' + co('yellow','node symblex-cli.js') + ' analyse --input medical.txt');
-  console.log('  ' + co('yellow','node symblex-cli.js') + ' verify  symblex-custom.json');
-  console.log('  ' + co('yellow','node symblex-cli.js') + ' test    "patient diagnosis treatment"');
-  console.log('  ' + co('yellow','node symblex-cli.js') + ' info');
-  console.log('');
-  console.log(bold(co('cyan', '  OPTIONS')));
-  console.log('');
+  say('');
+  say(bold(co('cyan', '  EXAMPLES')));
+  say('');
+  say('  ' + co('yellow','node symblex-cli.js') + ' build   --input corpus.txt notes.md');
+  say('  ' + co('yellow','node symblex-cli.js') + ' build   --input *.txt --top 300 --out my-dict.json');
+  say('  ' + co('yellow','node symblex-cli.js') + ' build   --input data.md --verbose');
+  say('  ' + co('yellow','node symblex-cli.js') + ' build   --input new.txt --base symblex-custom.json');
+  say('  ' + co('yellow','node symblex-cli.js') + ' build   --input logs.txt --rank savings');
+  say('  ' + co('yellow','node symblex-cli.js') + ' build   --input events/ --json-path payload.message');
+  say('  ' + co('yellow','node symblex-cli.js') + ' build   --input "exports/**/*.csv" --csv-column notes,summary');
+  say('  ' + co('yellow','node symblex-cli.js') + ' analyse --input medical.txt');
+  say('  ' + co('yellow','node symblex-cli.js') + ' verify  symblex-custom.json');
+  say('  ' + co('yellow','node symblex-cli.js') + ' verify  symblex-custom.json --fix');
+  say('  ' + co('yellow','node symblex-cli.js') + ' test    "patient diagnosis treatment"');
+  say('  ' + co('yellow','node symblex-cli.js') + ' diff    old.json new.json');
+  say('  ' + co('yellow','node symblex-cli.js') + ' migrate old.json new.json --file notes.txt --out notes.new.txt');
+  say('  ' + co('yellow','node symblex-cli.js') + ' migrate old.json new.json --packed --field body < events.ndjson');
+  say('  ' + co('yellow','node symblex-cli.js') + ' info');
+  say('');
+  say(bold(co('cyan', '  OPTIONS')));
+  say('');
   printTable(
     ['Option', 'Default', 'Description'],
     [
-      ['--input <files>', 'required', 'One or more .txt or .md files'],
+      ['--input <files>', 'required', 'Files, directories or globs: .txt .md .log .json .ndjson .csv .html'],
       ['--out <file>',    'symblex-custom.json', 'Output JSON path'],
       ['--top <n>',       '744', 'Max words in output (hard limit: 744)'],
       ['--minlen <n>',    '4', 'Minimum word length to include'],
       ['--minfreq <n>',   '2', 'Minimum occurrences required'],
       ['--verbose, -v',   'off', 'Show per-word accept/reject decisions'],
+      ['--base <file>',   'none', 'Incremental build: keep every token of an existing dict'],
+      ['--phrases <n>',   '50', 'Max multi-word phrases mined from the corpus (0 = off)'],
+      ['--rank <mode>',   'freq', 'Word ranking: freq, or savings (freq × chars saved)'],
+      ['--json-path <p>', 'all strings', 'JSON / NDJSON fields to read, e.g. events[].message (comma list)'],
+      ['--csv-column <c>', 'all', 'CSV columns by header name or 1-based number (comma list)'],
+      ['--strip-html',    'off', 'Strip HTML tags from every input (.html files always are)'],
+      ['--json',          'off', 'Print one JSON document instead of tables (every command)'],
+      ['--fix',           'off', 'verify: write a repaired dict (in place + .bak, or --out)'],
+      ['--file <path>',   'stdin', 'migrate: stored data to convert, one entry per line'],
+      ['--packed',        'off', 'migrate: entries are packToBase64url payloads, not encoded text'],
+      ['--field <path>',  'none', 'migrate: input is NDJSON; convert this field (e.g. payload.text)'],
     ]
   );
-  console.log('');
-  process.exit(0);
+  say('');
+  finish(0);
 }
 
 /* ═══════════════════════════════════════════════════════════════
@@ -355,15 +933,17 @@ if (command === 'info') {
   var sx = loadSymblex();
 
   printSectionHeader('TOKEN SPACE RULES');
-  console.log('');
+  say('');
   printTable(
     ['Token Pattern', 'Type', 'Length', 'Slots', 'Example'],
     [
       ['~[0-9a-n][0-9a-zA-Z]', 'Built-in word',   '3 chars', '1,468 used', '~7N = freedom'],
+      ['~n[G-Z]',              'Built-in phrase', '3 chars', '20 used',    '~nG = in order to'],
       ['~[A-Z][0-9a-zA-Z][a-o]','Suffix / stem',  '4 chars', 'unlimited', '~Fle = developing'],
       ['~[o-z][0-9a-zA-Z]',    'Custom word',    '3 chars', '744 slots',  '~oc = patient'],
     ],
     [
+      ['blue','white','white','white','dim'],
       ['blue','white','white','white','dim'],
       ['magenta','white','white','white','dim'],
       ['green','white','white','white','dim'],
@@ -371,14 +951,14 @@ if (command === 'info') {
   );
 
   printSectionHeader('BUILT-IN DICTIONARY');
-  console.log('');
+  say('');
   printRow('Total words',  sx.DICTIONARY_SIZE + ' words');
   printRow('Token range',  '~00  →  ~nF');
   printRow('Index range',  '0  →  1467');
   printRow('First char',   '0–9, a–n  (base-62 indices 0–23)');
 
   printSectionHeader('CUSTOM DICTIONARY');
-  console.log('');
+  say('');
   printRow('Token range',   co('green','~oc') + '  →  ' + co('green','~zZ'));
   printRow('Index range',   CUSTOM_START_IDX + '  →  ' + CUSTOM_END_IDX);
   printRow('Capacity',      CUSTOM_CAPACITY + ' words maximum');
@@ -386,22 +966,33 @@ if (command === 'info') {
   printRow('Collision risk', co('green', 'ZERO — mathematically impossible'));
 
   printSectionHeader('REJECTION RULES');
-  console.log('');
+  say('');
   printInfo('A word is REJECTED (not added to custom dict) if:');
-  console.log('');
-  console.log('    1. It is already in the built-in dictionary (direct match)');
-  console.log('    2. It is derivable from a built-in word via suffix stemming');
-  console.log('       e.g. "working" → work + -ing  (already handled)');
-  console.log('    3. It is shorter than --minlen characters (default: 4)');
-  console.log('    4. It appears fewer than --minfreq times (default: 2)');
-  console.log('    5. The custom dict is already full (744 word limit)');
-
-  console.log('');
+  say('');
+  say('    1. It is already in the built-in dictionary (direct match)');
+  say('    2. It is derivable from a built-in word via suffix stemming');
+  say('       e.g. "working" → work + -ing  (already handled)');
+  say('    3. It is shorter than --minlen characters (default: 4)');
+  say('    4. It appears fewer than --minfreq times (default: 2)');
+  say('    5. The custom dict is already full (744 word limit)');
+
+  say('');
   printRow('Author',  sx.AUTHOR);
   printRow('GitHub',  sx.GITHUB);
   printRow('License', sx.LICENSE);
-  console.log('');
-  process.exit(0);
+  say('');
+
+  report.version = sx.VERSION;
+  report.builtin = { words: sx.DICTIONARY_SIZE, tokenRange: ['~00', '~nF'], indexRange: [0, 1467] };
+  report.custom  = {
+    tokenRange: ['~oc', '~zZ'],
+    indexRange: [CUSTOM_START_IDX, CUSTOM_END_IDX],
+    capacity:   CUSTOM_CAPACITY
+  };
+  report.author  = sx.AUTHOR;
+  report.github  = sx.GITHUB;
+  report.license = sx.LICENSE;
+  finish(0);
 }
 
 /* ═══════════════════════════════════════════════════════════════
@@ -413,14 +1004,16 @@ if (command === 'test') {
 
   if (!testText) {
     printError('Provide text after the test command.');
-    console.log('  Example: ' + co('yellow', 'node symblex-cli.js test "patient diagnosis treatment"'));
-    process.exit(1);
+    say('  Example: ' + co('yellow', 'node symblex-cli.js test "patient diagnosis treatment"'));
+    finish(1);
   }
 
   printSectionHeader('ENCODE TEST');
-  console.log('');
+  say('');
   var enc  = sx.encode(testText);
   var dec  = sx.decode(enc);
+  var encC = sx.encode(testText, { preserveCase: true });
+  var decC = sx.decode(encC);
   var bin  = sx.packToBase64url(testText);
   var s    = sx.stats(testText);
   var rt   = sx.runtime();
@@ -428,22 +1021,37 @@ if (command === 'test') {
   printRow('Input text',     testText,       'white');
   printRow('Encoded',        co('green', enc), 'white');
   printRow('Decoded back',   dec === testText ? co('green', dec + '  ✓') : co('red', dec + '  ✗'), 'white');
+  printRow('Case-preserving', co('green', encC), 'white');
+  printRow('Decoded back',   decC === testText ? co('green', decC + '  ✓') : co('red', decC + '  ✗'), 'white');
   printDivider();
   printRow('Text savings',   co('yellow', s.ratioText + ' (' + s.savedText + ' chars)'));
   printRow('Binary (b64url)',co('yellow', bin + '  →  ' + s.ratioBinary + ' (' + s.savedBinary + ' chars)'));
   printRow('Dict hits',      s.dictHits.toString(),     'cyan');
   printRow('Stem hits',      s.stemHits.toString(),     'cyan');
+  printRow('Prefix hits',    s.prefixHits.toString(),   'cyan');
+  printRow('Phrase hits',    s.phraseHits.toString(),   'cyan');
   printRow('Hit rate',       co('yellow', s.hitRate),  'white');
   printDivider();
   printRow('Custom dict',    rt.customDictLoaded ? co('green', 'loaded (' + rt.customWords + ' words)') : co('dim', 'not loaded'));
   printRow('Runtime',        rt.environment + ' / ' + (rt.platform || 'unknown'));
-  console.log('');
+  say('');
 
-  if (dec !== testText) {
-    printWarn('Decoded text differs from input. This is expected if the text contains');
-    printWarn('uppercase letters (tokens are always lowercase on decode).');
+  if (dec !== testText && decC === testText) {
+    printWarn('Decoded text differs from input because it contains uppercase letters.');
+    printWarn('Use encode(text, { preserveCase: true }) for an exact roundtrip.');
+  } else if (decC !== testText) {
+    printWarn('Decoded text differs from input even in case-preserving mode.');
   }
-  process.exit(0);
+
+  report.input        = testText;
+  report.encoded      = enc;
+  report.decoded      = dec;
+  report.roundtrip    = dec === testText;
+  report.preserveCase = { encoded: encC, decoded: decC, roundtrip: decC === testText };
+  report.packed       = bin;
+  report.stats        = s;
+  report.customDict   = { loaded: rt.customDictLoaded, words: rt.customWords };
+  finish(0);
 }
 
 /* ═══════════════════════════════════════════════════════════════
@@ -456,8 +1064,8 @@ if (command === 'verify') {
 
   if (!fp || !fs.existsSync(fp)) {
     printError('No valid JSON file given.');
-    console.log('  Usage: ' + co('yellow', 'node symblex-cli.js verify symblex-custom.json'));
-    process.exit(1);
+    say('  Usage: ' + co('yellow', 'node symblex-cli.js verify symblex-custom.json'));
+    finish(1);
   }
 
   var dict;
@@ -465,47 +1073,17 @@ if (command === 'verify') {
     dict = JSON.parse(fs.readFileSync(fp, 'utf8'));
   } catch (e) {
     printError('Cannot parse JSON: ' + e.message);
-    process.exit(1);
+    finish(1);
   }
 
   printSectionHeader('VERIFYING: ' + path.basename(fp));
-  console.log('');
+  say('');
 
-  var enc     = dict.encode || {};
-  var dec     = dict.decode || {};
-  var errors  = [];
-  var warns   = [];
-  var checked = 0;
-  var ok      = 0;
-
-  Object.keys(enc).forEach(function (word) {
-    checked++;
-    var tok = enc[word];
-    var lower = word.toLowerCase();
-
-    if (typeof tok !== 'string' || tok[0] !== '~') {
-      errors.push('INVALID TOKEN for "' + word + '": ' + tok);
-      return;
-    }
-    if (!isCustomToken(tok)) {
-      if (isBuiltinToken(tok)) {
-        errors.push('"' + word + '" uses built-in range token ' + tok + ' — must use ~[o-z]XX range');
-      } else if (isSuffixToken(tok)) {
-        errors.push('"' + word + '" uses suffix range token ' + tok);
-      } else {
-        errors.push('"' + word + '" has unrecognised token format: ' + tok);
-      }
-      return;
-    }
-    var covTok = sx.lookup(lower);
-    if (covTok && !isCustomToken(covTok)) {
-      warns.push('"' + word + '" is already covered by built-in dict/stems (token: ' + covTok + ') — this entry is redundant');
-    }
-    if (!dec[tok]) {
-      warns.push('Token ' + tok + ' has no reverse entry in "decode" map');
-    }
-    ok++;
-  });
+  var result  = verifyDict(dict, sx);
+  var errors  = result.errors;
+  var warns   = result.warns;
+  var checked = result.checked;
+  var ok      = result.ok;
 
   if (errors.length === 0 && warns.length === 0) {
     printSuccess('All ' + checked + ' entries are valid');
@@ -519,8 +1097,358 @@ if (command === 'verify') {
   printRow('Valid entries',  co('green', ok.toString()));
   printRow('Errors',         errors.length > 0 ? co('red', errors.length.toString()) : co('green', '0'));
   printRow('Warnings',       warns.length  > 0 ? co('yellow', warns.length.toString()) : co('green', '0'));
-  console.log('');
-  process.exit(errors.length > 0 ? 1 : 0);
+  say('');
+
+  report.file    = fp;
+  report.entries = checked;
+  report.valid   = ok;
+
+  /* --fix: write the repaired dict (in place unless --out, keeping a .bak) */
+  var changed = !!result.fixed && JSON.stringify(result.fixed) !== JSON.stringify(dict);
+  if (fixMode && changed) {
+    var fixOut = outGiven ? outFile : fp;
+    var again  = verifyDict(result.fixed, sx);
+    try {
+      if (fixOut === fp) fs.copyFileSync(fp, fp + '.bak');
+      fs.writeFileSync(fixOut, JSON.stringify(result.fixed, null, 2));
+    } catch (e) {
+      printError('Cannot write ' + fixOut + ': ' + e.message);
+      finish(1);
+    }
+    printSectionHeader('FIXED');
+    say('');
+    printRow('Repaired file',  co('green', path.resolve(fixOut)));
+    if (fixOut === fp) printRow('Backup', co('dim', path.resolve(fp + '.bak')));
+    printRow('Entries',        Object.keys(result.fixed.encode).length.toString());
+    printRow('Errors left',    again.errors.length > 0 ? co('red', again.errors.length.toString()) : co('green', '0'));
+    printRow('Warnings left',  again.warns.length  > 0 ? co('yellow', again.warns.length.toString()) : co('green', '0'));
+    say('');
+    report.fixed = { file: path.resolve(fixOut), entries: Object.keys(result.fixed.encode).length,
+                     errors: again.errors, warnings: again.warns };
+    finish(again.errors.length > 0 ? 1 : 0);
+  }
+  if (fixMode) printInfo(errors.length ? 'Nothing --fix can repair' : 'Nothing to fix');
+  finish(errors.length > 0 ? 1 : 0);
+}
+
+/* ═══════════════════════════════════════════════════════════════
+ *  SHARED: two dictionaries (used by diff + migrate)
+ * ═══════════════════════════════════════════════════════════════ */
+/* Parsed dict at `fp`, or finish(1) */
+function readDict(fp, role) {
+  if (!fp || !fs.existsSync(fp)) {
+    printError('No ' + role + ' dictionary file' + (fp ? ': ' + fp : '') + '.');
+    say('  Usage: ' + co('yellow', 'node symblex-cli.js ' + command + ' old.json new.json'));
+    finish(1);
+  }
+  try {
+    var dict = JSON.parse(fs.readFileSync(fp, 'utf8'));
+    if (dict && typeof dict.encode === 'object' && dict.encode) return dict;
+    printError(fp + ' has no "encode" map — not a custom dictionary');
+  } catch (e) {
+    printError('Cannot parse ' + fp + ': ' + e.message);
+  }
+  finish(1);
+}
+
+/* word → token, lowercased the way symblex.js loads it */
+function dictWords(dict) {
+  var out = Object.create(null);
+  Object.keys(dict.encode).forEach(function (w) { out[w.toLowerCase()] = dict.encode[w]; });
+  return out;
+}
+
+function printLimited(headers, rows, colors) {
+  var shown = verbose ? rows : rows.slice(0, 25);
+  var cols  = shown.map(function () { return colors; });
+  if (shown.length < rows.length) {
+    shown = shown.concat([['... and ' + (rows.length - shown.length) + ' more (--verbose shows all)'].concat(headers.slice(1).map(function () { return ''; }))]);
+    cols.push(headers.map(function () { return 'dim'; }));
+  }
+  printTable(headers, shown, cols);
+}
+
+/* ═══════════════════════════════════════════════════════════════
+ *  COMMAND: diff
+ * ═══════════════════════════════════════════════════════════════ */
+if (command === 'diff') {
+  printHeader();
+  var sx      = loadSymblex();
+  var oldDict = readDict(positional[0], 'old');
+  var newDict = readDict(positional[1], 'new');
+  var oldW    = dictWords(oldDict);
+  var newW    = dictWords(newDict);
+  var oldTok  = Object.create(null);
+  Object.keys(oldW).forEach(function (w) { oldTok[oldW[w]] = w; });
+
+  var added     = [];
+  var removed   = [];
+  var retokened = [];
+  var reused    = [];   /* a token that now decodes to a different word */
+  var same      = 0;
+  Object.keys(newW).sort().forEach(function (w) {
+    if (!(w in oldW)) added.push({ word: w, token: newW[w] });
+    else if (oldW[w] !== newW[w]) retokened.push({ word: w, from: oldW[w], to: newW[w] });
+    else same++;
+    var was = oldTok[newW[w]];
+    if (was && was !== w) reused.push({ token: newW[w], from: was, to: w });
+  });
+  Object.keys(oldW).sort().forEach(function (w) {
+    if (!(w in newW)) removed.push({ word: w, token: oldW[w] });
+  });
+
+  var oldCodec = sx.createCodec({ customDict: oldDict });
+  var newCodec = sx.createCodec({ customDict: newDict });
+
+  printSectionHeader('DIFF: ' + path.basename(positional[0]) + '  →  ' + path.basename(positional[1]));
+  say('');
+  printRow('Old words',      Object.keys(oldW).length.toString() + dim('  fingerprint ' + oldCodec.fingerprint()));
+  printRow('New words',      Object.keys(newW).length.toString() + dim('  fingerprint ' + newCodec.fingerprint()));
+  printRow('Unchanged',      co('dim',    same.toString()));
+  printRow('Added',          co('green',  added.length.toString()));
+  printRow('Removed',        co('red',    removed.length.toString()));
+  printRow('Re-tokened',     co('yellow', retokened.length.toString()));
+  printRow('Tokens reused',  reused.length ? co('red', reused.length.toString()) : co('green', '0'));
+
+  if (added.length) {
+    printSectionHeader('ADDED');
+    say('');
+    printLimited(['Word', 'Token'], added.map(function (e) { return [e.word, e.token]; }), ['white', 'green']);
+  }
+  if (removed.length) {
+    printSectionHeader('REMOVED');
+    say('');
+    printLimited(['Word', 'Token'], removed.map(function (e) { return [e.word, e.token]; }), ['white', 'red']);
+  }
+  if (retokened.length) {
+    printSectionHeader('RE-TOKENED');
+    say('');
+    printLimited(['Word', 'Old token', 'New token'],
+      retokened.map(function (e) { return [e.word, e.from, e.to]; }), ['white', 'dim', 'yellow']);
+  }
+  if (reused.length) {
+    printSectionHeader('TOKENS REUSED');
+    say('');
+    printLimited(['Token', 'Old word', 'New word'],
+      reused.map(function (e) { return [e.token, e.from, e.to]; }), ['cyan', 'dim', 'red']);
+  }
+  say('');
+  if (reused.length) {
+    printWarn(reused.length + ' token(s) now decode to a different word — stored text would change meaning');
+  }
+  if (removed.length || retokened.length || reused.length) {
+    printInfo('Convert stored data with: ' + co('yellow', 'node symblex-cli.js migrate ' + positional[0] + ' ' + positional[1] + ' --file data.txt'));
+  } else printSuccess('Stored text decodes the same with either dictionary');
+  say('');
+
+  report.old = { file: positional[0], words: Object.keys(oldW).length, fingerprint: oldCodec.fingerprint() };
+  report.new = { file: positional[1], words: Object.keys(newW).length, fingerprint: newCodec.fingerprint() };
+  report.unchanged = same;
+  report.added     = added;
+  report.removed   = removed;
+  report.retokened = retokened;
+  report.reused    = reused;
+  finish(0);
+}
+
+/* ═══════════════════════════════════════════════════════════════
+ *  COMMAND: migrate
+ * ═══════════════════════════════════════════════════════════════ */
+/* Tokens as symblex.js reads them (~~ is an escaped tilde) */
+var TOKEN_SCAN_RE = /~~|~[-_]?(?:\.[A-Z]?[0-9a-z][0-9a-zA-Z][a-z]{0,3}|[A-Z][0-9a-zA-Z][a-z]|[0-9a-zA-Z][0-9a-zA-Z])/g;
+var ENVELOPE_RE   = /^~\.\.[0-9a-zA-Z]{6}/;
+var B64URL        = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/* Custom-zone token (~[o-z]XX, or a prefix / suffix chain on one) —
+   only a custom dictionary writes these, so an unknown one is lost data */
+function isCustomZone(tok) {
+  var body = tok.replace(/^~[-_]?/, '');
+  if (body[0] === '.') body = body.slice(1).replace(/^[A-Z]/, '');
+  return body.length >= 2 && body[0] >= 'o' && body[0] <= 'z';
+}
+
+/* Pack header of a base64url payload: { version, envelope, checksum },
+   or null for a bare v1 payload. [0][2047][4-bit version][4-bit flags] */
+function packHeader(b64) {
+  var bits = '';
+  for (var i = 0; i < 4 && i < b64.length; i++) {
+    var v = B64URL.indexOf(b64[i]);
+    if (v < 0) return null;
+    bits += ('00000' + v.toString(2)).slice(-6);
+  }
+  if (bits.length < 20 || bits.slice(0, 12) !== '011111111111') return null;
+  var flags = parseInt(bits.slice(16, 20), 2);
+  return { version: parseInt(bits.slice(12, 16), 2), envelope: !!(flags & 1), checksum: !!(flags & 2) };
+}
+if (command === 'migrate') {
+  SAY_ERR = !outGiven;   /* migrated data owns stdout */
+  printHeader();
+  if (inputs.length) {
+    /* Else it would wait on stdin while the data file sits unread */
+    printError('migrate reads its data from --file (or stdin), not --input. Use --file ' + inputs[0]);
+    finish(1);
+  }
+  var sx       = loadSymblex();
+  var oldDict  = readDict(positional[0], 'old');
+  var newDict  = readDict(positional[1], 'new');
+  var oldCodec = sx.createCodec({ customDict: oldDict });
+  var newCodec = sx.createCodec({ customDict: newDict });
+  var lossy    = [];
+  var units    = 0;
+  var changed  = 0;
+  var plainN   = 0;
+
+  /* One stored value → { out, lossy, plain }: decode with the old dict,
+     encode with the new one. A value the old dict can't decode
+     faithfully is passed through unchanged and reported; text with no
+     envelope, no token the old dict knows and no custom-zone token was
+     never encoded, so it is passed through as plain. */
+  var migrateValue = function (value) {
+    if (packedMode) {
+      var b64 = value.trim();
+      if (!b64) return { out: value };
+      var text;
+      try {
+        text = oldCodec.unpackFromBase64url(b64, { strict: true });
+      } catch (e) {
+        return { out: value, lossy: (e.code || 'ERROR') + ': ' + e.message };
+      }
+      var head = packHeader(b64);
+      return { out: newCodec.packToBase64url(text, {
+        strict:      true,
+        packVersion: head ? head.version : 1,
+        envelope:    !!(head && head.envelope),
+        checksum:    !!(head && head.checksum)
+      }) };
+    }
+    var known   = 0;
+    var unknown = (value.match(TOKEN_SCAN_RE) || []).filter(function (tok) {
+      if (tok === '~~') return false;
+      if (oldCodec.decode(tok) !== tok) { known++; return false; }
+      return true;
+    });
+    var envelope = ENVELOPE_RE.test(value);
+    if (!known && !envelope && !unknown.some(isCustomZone)) return { out: value, plain: true };
+    if (unknown.length) return { out: value, lossy: 'not in the old dictionary: ' + unknown.join(' ') };
+    var mismatch = null;
+    var plainText = oldCodec.decode(value, { onMismatch: function (m) { mismatch = m; } });
+    if (mismatch) return { out: value, lossy: 'envelope ' + mismatch.expected + ' does not match the old dictionary (' + mismatch.actual + ')' };
+    return { out: newCodec.encode(plainText, { strict: true, envelope: envelope }) };
+  };
+
+  /* One input line → the line to write */
+  var migrateLine = function (line, n) {
+    if (!line.trim()) return line;
+    var res;
+    if (migrateField) {
+      var doc;
+      try { doc = JSON.parse(line); } catch (e) {
+        printWarn('Line ' + n + ' is not JSON — left as is');
+        return line;
+      }
+      var segs   = migrateField.split('.');
+      var parent = doc;
+      for (var k = 0; k < segs.length - 1 && parent && typeof parent === 'object'; k++) parent = parent[segs[k]];
+      var key = segs[segs.length - 1];
+      if (!parent || typeof parent !== 'object' || typeof parent[key] !== 'string') return line;
+      res = migrateValue(parent[key]);
+      if (res.plain) res.out = line;
+      else {
+        if (!res.lossy) parent[key] = res.out;
+        res.out = JSON.stringify(doc);
+      }
+    } else res = migrateValue(line);
+    units++;
+    if (res.lossy) lossy.push({ line: n, reason: res.lossy });
+    else if (res.plain) plainN++;
+    else if (res.out !== line) changed++;
+    return res.lossy ? line : res.out;
+  };
+
+  if (migrateFile) {
+    try { fs.accessSync(migrateFile, fs.constants.R_OK); } catch (e) {
+      printError('Cannot read ' + migrateFile + ': ' + e.message);
+      finish(1);
+    }
+  }
+  if (migrateFile && outGiven && path.resolve(migrateFile) === path.resolve(outFile)) {
+    printError('--out must not be the --file being read (' + outFile + ')');
+    finish(1);
+  }
+
+  /* Streamed line by line, so input of any size runs in constant memory.
+     A token never spans lines, and lossy entries get a line number.
+     Lines are written back with the input's first line ending (\n or
+     \r\n), and a final newline only if the input had one. */
+  var input  = migrateFile ? fs.createReadStream(migrateFile) : process.stdin;
+  var output = outGiven ? fs.createWriteStream(outFile) : process.stdout;
+  var eol      = null;   /* \n until the first line break is seen */
+  var lastByte = null;
+  var pending  = null;
+  var lineNo   = 0;
+  input.on('error', function (e) {
+    printError('Cannot read ' + (migrateFile || 'stdin') + ': ' + e.message);
+    finish(1);
+  });
+  output.on('error', function (e) {
+    printError('Cannot write ' + (outGiven ? outFile : 'stdout') + ': ' + e.message);
+    finish(1);
+  });
+  input.on('data', function (chunk) {
+    if (!chunk.length) return;
+    if (eol === null) {
+      var nl = chunk.indexOf(10);
+      if (nl >= 0) eol = nl > 0 && chunk[nl - 1] === 13 ? '\r\n' : '\n';
+    }
+    lastByte = chunk[chunk.length - 1];
+  });
+
+  var lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+  var draining = false;
+  lines.on('line', function (line) {
+    /* Lines already read still arrive after pause() — wait for one drain */
+    if (pending !== null && !output.write(pending + (eol || '\n')) && !draining) {
+      draining = true;
+      lines.pause();
+      output.once('drain', function () { draining = false; lines.resume(); });
+    }
+    pending = migrateLine(line, ++lineNo);
+  });
+  lines.on('close', function () {
+    var tail = pending === null ? '' : pending + (lastByte === 10 || lastByte === 13 ? eol || '\n' : '');
+    if (outGiven) output.end(tail, migrateSummary);
+    else output.write(tail, migrateSummary);
+  });
+
+  var migrateSummary = function () {
+    printSectionHeader('MIGRATE: ' + path.basename(positional[0]) + '  →  ' + path.basename(positional[1]));
+    say('');
+    printRow('Input',      migrateFile || 'stdin');
+    printRow('Output',     outGiven ? co('green', path.resolve(outFile)) : 'stdout');
+    printRow('Format',     (packedMode ? 'packed base64url' : 'encoded text') + (migrateField ? ' in NDJSON field ' + migrateField : ''));
+    printRow('Entries',    units.toString());
+    printRow('Re-encoded', co('green', changed.toString()));
+    printRow('Unchanged',  co('dim', (units - changed - plainN - lossy.length).toString()));
+    if (!packedMode) printRow('Plain text', co('dim', plainN.toString()) + dim(' (no old tokens — passed through)'));
+    printRow('Lossy',      lossy.length ? co('red', lossy.length.toString()) : co('green', '0'));
+    if (lossy.length) {
+      printSectionHeader('LOSSY ENTRIES (left as they were)');
+      say('');
+      printLimited(['Line', 'Reason'], lossy.map(function (e) { return [String(e.line), e.reason]; }), ['cyan', 'yellow']);
+    }
+    say('');
+
+    report.old       = { file: positional[0], fingerprint: oldCodec.fingerprint() };
+    report.new       = { file: positional[1], fingerprint: newCodec.fingerprint() };
+    report.input     = migrateFile || 'stdin';
+    report.output    = outGiven ? path.resolve(outFile) : 'stdout';
+    report.entries   = units;
+    report.reencoded = changed;
+    report.plain     = plainN;
+    report.lossy     = lossy;
+    finish(lossy.length ? 1 : 0);
+  };
+  return;   /* finish() runs once the input is drained; the rest is build / analyse */
 }
 
 /* ═══════════════════════════════════════════════════════════════
@@ -529,19 +1457,29 @@ if (command === 'verify') {
 if (!inputs.length && (command === 'build' || command === 'analyse')) {
   printHeader();
   printError('No input files given. Use --input file.txt notes.md');
-  process.exit(1);
+  finish(1);
+}
+if (rankMode !== 'freq' && rankMode !== 'savings') {
+  printHeader();
+  printError('Unknown --rank "' + rankMode + '". Use --rank freq or --rank savings');
+  finish(1);
 }
 
 var sx         = loadSymblex();
 var freq       = {};
+var phraseFreq = Object.create(null);
+var phraseRun  = [];   /* every word run, for claimPhrases() */
 var totalWords = 0;
 var fileStats  = [];
+report.files   = [];
 
 printHeader();
 printSectionHeader('READING FILES');
-console.log('');
+say('');
+
+var files = expandInputs(inputs);
 
-inputs.forEach(function (fp) {
+files.forEach(function (fp) {
   var text = readFile(fp);
   if (!text) return;
   var matches = text.toLowerCase().match(/[a-z]{4,}/g) || [];
@@ -549,27 +1487,45 @@ inputs.forEach(function (fp) {
   matches.forEach(function (w) {
     if (w.length >= minLen) { freq[w] = (freq[w] || 0) + 1; totalWords++; }
   });
+  if (maxPhrases > 0) {
+    var runs = phraseRuns(text);
+    countPhrases(runs, phraseFreq);
+    runs.forEach(function (run) { phraseRun.push(run); });
+  }
   var newUniq = Object.keys(freq).length - countBefore;
-  fileStats.push([path.basename(fp), matches.length.toLocaleString(), newUniq.toLocaleString()]);
-  printSuccess(path.basename(fp) + co('dim', '  (' + matches.length + ' words, ' + newUniq + ' new unique)'));
+  var shown   = files.length > inputs.length ? path.relative('.', fp) || fp : path.basename(fp);
+  fileStats.push([shown, matches.length.toLocaleString(), newUniq.toLocaleString()]);
+  report.files.push({ file: fp, words: matches.length, newUnique: newUniq });
+  printSuccess(shown + co('dim', '  (' + matches.length + ' words, ' + newUniq + ' new unique)'));
 });
 
 if (!fileStats.length) {
   printError('No valid files were read.');
-  process.exit(1);
+  finish(1);
 }
 
-/* sort by frequency */
+/* Chars a word saves across the corpus as a custom token */
+function wordSavings(word) {
+  return freq[word] * wordGain(word);
+}
+
+/* Rank by frequency, or with --rank savings by chars saved: 90 uses
+   of a 14-letter word beat 100 of a 5-letter one */
 var sorted = Object.keys(freq)
   .filter(function (w) { return freq[w] >= minFreq; })
-  .sort(function (a, b) { return freq[b] - freq[a] || a.localeCompare(b); });
+  .sort(function (a, b) {
+    if (rankMode === 'savings') return wordSavings(b) - wordSavings(a) || freq[b] - freq[a] || a.localeCompare(b);
+    return freq[b] - freq[a] || a.localeCompare(b);
+  });
+
+var phraseCands = maxPhrases > 0 ? minePhrases(phraseFreq, phraseRun, sx, minFreq) : [];
 
 /* ═══════════════════════════════════════════════════════════════
  *  COMMAND: analyse
  * ═══════════════════════════════════════════════════════════════ */
 if (command === 'analyse') {
   printSectionHeader('CORPUS STATISTICS');
-  console.log('');
+  say('');
   printRow('Files processed',   fileStats.length.toString());
   printRow('Total word tokens', totalWords.toLocaleString());
   printRow('Unique words',      Object.keys(freq).length.toLocaleString());
@@ -583,127 +1539,347 @@ if (command === 'analyse') {
   printRow('Genuinely new (will be added)', co('green', genuineNew.length.toLocaleString()));
   printRow('Custom dict capacity',         co('cyan', CUSTOM_CAPACITY.toString()) + ' slots');
 
-  printSectionHeader('TOP 25 WORDS IN CORPUS');
-  console.log('');
+  printSectionHeader(rankMode === 'savings' ? 'TOP 25 WORDS BY CHARS SAVED' : 'TOP 25 WORDS IN CORPUS');
+  say('');
   var tableRows = [];
   var tableColors = [];
+  report.topWords = [];
   sorted.slice(0, 25).forEach(function (w, i) {
     var pct     = ((freq[w] / totalWords) * 100).toFixed(2);
     var covered = sx.lookup(w);
     var status, statusColor;
     if (covered) {
-      var stem = isSuffixToken(covered) ? 'stem' : 'dict';
+      var stem = isSuffixToken(covered) ? 'stem' : isExtToken(covered) ? 'prefix' : 'dict';
       status = 'covered (' + stem + ')';
       statusColor = 'yellow';
     } else {
       status = 'NEW';
       statusColor = 'green';
     }
-    tableRows.push([String(i+1).padStart(3), w, freq[w].toLocaleString(), pct + '%', status]);
-    tableColors.push(['dim','white','cyan','dim', statusColor]);
+    tableRows.push([String(i+1).padStart(3), w, freq[w].toLocaleString(), pct + '%', wordSavings(w).toLocaleString(), status]);
+    tableColors.push(['dim','white','cyan','dim','green', statusColor]);
+    report.topWords.push({ word: w, count: freq[w], freqPct: +pct, saved: wordSavings(w), token: covered || null, status: covered ? stem : 'new' });
   });
-  printTable(['#', 'Word', 'Count', 'Freq%', 'Status'], tableRows, tableColors);
+  printTable(['#', 'Word', 'Count', 'Freq%', 'Chars saved', 'Status'], tableRows, tableColors);
 
   var top500 = new Set(sorted.slice(0, 500));
   var cov    = 0;
   Object.keys(freq).forEach(function (w) { if (top500.has(w)) cov += freq[w]; });
-  console.log('');
+  say('');
   printInfo('Top 500 words cover ' + co('yellow', ((cov/totalWords)*100).toFixed(1)+'%') + ' of corpus tokens');
   printInfo('Genuinely new words that can be added: ' + co('green', genuineNew.length.toString()));
   printInfo('Recommended --top value: ' + co('cyan', Math.min(genuineNew.length, CUSTOM_CAPACITY).toString()));
-  console.log('');
-  process.exit(0);
+
+  report.corpus = {
+    files:           fileStats.length,
+    totalWords:      totalWords,
+    uniqueWords:     Object.keys(freq).length,
+    afterFreqFilter: sorted.length,
+    minFreq:         minFreq,
+    ranking:         rankMode
+  };
+  report.alreadyCovered = alreadyCovered.length;
+  report.genuinelyNew   = genuineNew.length;
+  report.capacity       = CUSTOM_CAPACITY;
+  report.top500Coverage = totalWords > 0 ? +((cov / totalWords) * 100).toFixed(1) : 0;
+  report.recommendedTop = Math.min(genuineNew.length, CUSTOM_CAPACITY);
+  report.phraseCandidates = phraseCands.length;
+  report.topPhrases = phraseCands.slice(0, 15).map(function (c) {
+    return { phrase: c.phrase, count: c.freq, gain: c.gain, saved: c.freq * c.gain };
+  });
+
+  if (phraseCands.length) {
+    printSectionHeader('TOP PHRASE CANDIDATES');
+    say('');
+    var phraseRows = [];
+    var phraseColors = [];
+    phraseCands.slice(0, 15).forEach(function (c, i) {
+      phraseRows.push([String(i+1).padStart(3), c.phrase, c.freq.toLocaleString(), '+' + c.gain, (c.freq * c.gain).toLocaleString()]);
+      phraseColors.push(['dim','white','cyan','yellow','green']);
+    });
+    printTable(['#', 'Phrase', 'Count', 'Saves/use', 'Total saved'], phraseRows, phraseColors);
+    say('');
+    printInfo('Phrase candidates: ' + co('green', phraseCands.length.toString()) +
+      dim('  (build takes the top ' + maxPhrases + ', change with --phrases)'));
+  }
+  say('');
+  finish(0);
 }
 
 /* ═══════════════════════════════════════════════════════════════
  *  COMMAND: build
  * ═══════════════════════════════════════════════════════════════ */
+/* Incremental build: every word → token in --base is kept as-is */
+var baseEnc = Object.create(null);
+if (baseFile) {
+  var baseDict;
+  try {
+    baseDict = JSON.parse(fs.readFileSync(baseFile, 'utf8'));
+  } catch (e) {
+    printError('Cannot read --base ' + baseFile + ': ' + e.message);
+    finish(1);
+  }
+  Object.keys(baseDict.encode || {}).forEach(function (word) {
+    var tok = baseDict.encode[word];
+    if (isCustomToken(tok)) baseEnc[word.toLowerCase()] = tok;
+    else printWarn('Skipping base entry "' + word + '" — token ' + tok + ' is not in the ~[o-z] range');
+  });
+}
+/* Decode-only base tokens (retired words kept for old payloads) are
+   copied through and their slots stay reserved */
+var baseDec = Object.create(null);
+if (baseFile) {
+  var baseToks = Object.create(null);
+  Object.keys(baseEnc).forEach(function (word) { baseToks[baseEnc[word]] = true; });
+  Object.keys(baseDict.decode || {}).forEach(function (tok) {
+    if (baseToks[tok]) return;
+    if (isCustomToken(tok)) baseDec[tok] = String(baseDict.decode[tok]).toLowerCase();
+    else printWarn('Skipping base decode entry ' + tok + ' — not in the ~[o-z] range');
+  });
+}
+var keptWords = Object.keys(baseEnc).sort();
+var retired   = Object.keys(baseDec).sort();
+var capacity  = Math.min(topN, CUSTOM_CAPACITY - retired.length);
+
+/* Phrases go first: one phrase token replaces several word tokens */
+var freshPhrases = Object.create(null);   /* phrases a fresh build would pick */
+var newPhrases   = [];
+if (phraseCands.length) {
+  printSectionHeader('PHRASE MINING');
+  say('');
+  phraseCands.slice(0, Math.min(maxPhrases, capacity)).forEach(function (c) {
+    freshPhrases[c.phrase] = true;
+    if (baseEnc[c.phrase]) return;
+    if (newPhrases.length + keptWords.length >= capacity) return;
+    newPhrases.push(c.phrase);
+    if (verbose) printSuccess(co('green', '"' + c.phrase + '"') + dim('  freq=' + c.freq + '  saves ' + c.gain + ' chars each'));
+  });
+  printInfo(phraseCands.length + ' phrase candidates, ' + newPhrases.length + ' added (--phrases ' + maxPhrases + ')');
+}
+
 printSectionHeader('WORD VERIFICATION');
-console.log('');
+say('');
 printInfo('Checking each word against built-in dictionary and suffix stems...');
-console.log('');
+if (baseFile) printInfo('Keeping ' + keptWords.length + ' existing tokens from ' + path.basename(baseFile));
+if (retired.length) printInfo('Keeping ' + retired.length + ' decode-only tokens so old payloads still decode');
+say('');
 
-var accepted  = [];   /* words that passed all checks */
+var accepted  = newPhrases.slice();   /* phrases, then words that passed all checks */
 var rejBultin = [];   /* rejected: in built-in dict */
 var rejStem   = [];   /* rejected: covered by stemming */
 var rejFreq   = [];   /* rejected: below min freq */
+var passing   = [];   /* words the built-in dictionary and stems leave uncovered */
+var freshRank = Object.create(null);   /* rank among words a fresh build would accept */
+var passed    = 0;
+var rejected  = [];   /* { word, reason, token } — every rejection, for --json */
+
+/* Frequency check — these words never reach `sorted` */
+Object.keys(freq).sort().forEach(function (word) {
+  if (freq[word] >= minFreq) return;
+  rejFreq.push(word);
+  rejected.push({ word: word, reason: 'minfreq', freq: freq[word] });
+  if (verbose) printSkip(co('dim', '"' + word + '"') + dim('  freq=' + freq[word] + ' < ' + minFreq + ' (below threshold)'));
+});
 
 sorted.forEach(function (word) {
-  /* Frequency check */
-  if (freq[word] < minFreq) {
-    rejFreq.push(word);
-    if (verbose) printSkip(co('dim', '"' + word + '"') + dim('  freq=' + freq[word] + ' < ' + minFreq + ' (below threshold)'));
-    return;
-  }
   /* Built-in direct match */
   var builtinTok = sx.lookup(word);
   if (builtinTok && isBuiltinToken(builtinTok)) {
     rejBultin.push(word);
+    rejected.push({ word: word, reason: 'builtin', token: builtinTok });
     if (verbose) printWarn(co('yellow','"'+word+'"') + dim('  already built-in → ' + builtinTok));
     return;
   }
+  /* Library stem coverage: prefixes, suffix chains, spelling rules, irregulars */
+  if (builtinTok && (isExtToken(builtinTok) || isSuffixToken(builtinTok))) {
+    rejStem.push(word);
+    rejected.push({ word: word, reason: 'stem', token: builtinTok });
+    var extKind = isSuffixToken(builtinTok) ? 'stem' : /[A-Z]/.test(builtinTok[2]) ? 'prefix stem' : 'suffix chain';
+    if (verbose) printWarn(co('yellow','"'+word+'"') + dim('  covered by ' + extKind + ' → ' + builtinTok));
+    return;
+  }
   /* Suffix stem coverage */
   var stemCover = isCoveredByStem(word, sx);
   if (stemCover) {
     rejStem.push(word);
+    rejected.push({ word: word, reason: 'stem', cover: stemCover });
     if (verbose) printWarn(co('yellow','"'+word+'"') + dim('  covered by stem: ' + stemCover));
     return;
   }
+  passing.push(word);
+});
+
+/* Custom roots: a word that inflects another word bound for this dict
+   ("patients" next to "patient") encodes as a stem of it and needs no slot.
+   Words go into a scratch codec shortest first, so each one is looked up
+   against the shorter words already in — roots are never longer than their
+   inflections. Dropping a word lets a lower-ranked one in, so repeat until
+   the selection settles. */
+var customCover = Object.create(null);
+for (var settled = false; !settled; ) {
+  var stemCodec = sx.createCodec({ customDict: { encode: baseEnc } });
+  var stemUsed  = {};
+  keptWords.forEach(function (word) { stemUsed[customIndexOf(baseEnc[word])] = true; });
+  retired.forEach(function (tok) { stemUsed[customIndexOf(tok)] = true; });
+  var stemFree  = capacity - keptWords.length - newPhrases.length;
+  var stemWords = passing.filter(function (word) {
+    if (customCover[word] || baseEnc[word] || stemFree <= 0) return false;
+    stemFree--;
+    return true;
+  }).sort(function (a, b) { return a.length - b.length; });
+  var stemIdx = 0;
+  settled = true;
+  stemWords.forEach(function (word) {
+    var cover = isCoveredByStem(word, sx, stemCodec);
+    if (cover) { customCover[word] = cover; settled = false; return; }
+    while (stemUsed[stemIdx]) stemIdx++;
+    stemUsed[stemIdx] = true;
+    var entry = {};
+    entry[word] = customTokenFor(stemIdx);
+    stemCodec.loadCustomDict({ encode: entry });
+  });
+}
+
+passing.forEach(function (word) {
+  if (customCover[word]) {
+    rejStem.push(word);
+    rejected.push({ word: word, reason: 'custom-stem', cover: customCover[word] });
+    if (verbose) printWarn(co('yellow','"'+word+'"') + dim('  covered by stem: ' + customCover[word]));
+    return;
+  }
+  freshRank[word] = ++passed;
+  /* Already in --base: keeps its token */
+  if (baseEnc[word]) {
+    if (verbose) printSkip(co('dim', '"' + word + '"') + dim('  kept from base → ' + baseEnc[word]));
+    return;
+  }
   /* Capacity check */
-  if (accepted.length >= topN || accepted.length >= CUSTOM_CAPACITY) {
+  if (accepted.length + keptWords.length >= capacity) {
+    rejected.push({ word: word, reason: 'capacity' });
     if (verbose) printSkip(co('dim', '"' + word + '"') + dim('  skipped: custom dict full'));
     return;
   }
   /* ACCEPTED */
   accepted.push(word);
-  if (verbose) printSuccess(co('green', '"' + word + '"') + dim('  freq=' + freq[word] + '  new word'));
+  if (verbose) printSuccess(co('green', '"' + word + '"') + dim('  freq=' + freq[word] + '  saves ' + wordSavings(word) + ' chars'));
 });
 
 /* Show summary */
-console.log('  ' + progressBar(accepted.length, Math.min(topN, CUSTOM_CAPACITY)));
-console.log('');
+say('  ' + progressBar(accepted.length + keptWords.length, capacity));
+say('');
 printRow('Total unique words scanned', sorted.length.toLocaleString(),         'white');
 printRow('Rejected: already built-in', co('yellow', rejBultin.length.toString()), 'white');
 printRow('Rejected: covered by stems', co('yellow', rejStem.length.toString()),   'white');
+printRow('Rejected: below --minfreq',  co('yellow', rejFreq.length.toString()),   'white');
+if (baseFile) printRow('Kept from base',  co('cyan',   keptWords.length.toString()),  'white');
+if (retired.length) printRow('Kept decode-only', co('cyan', retired.length.toString()), 'white');
+if (newPhrases.length) printRow('Phrases mined', co('green', newPhrases.length.toString()), 'white');
 printRow('Accepted for custom dict',   co('green',  accepted.length.toString()),   'white');
 
+report.scanned  = sorted.length;
+report.capacity = capacity;
+report.ranking  = rankMode;
+report.phrases  = newPhrases;
+report.kept     = keptWords.map(function (word) { return { word: word, token: baseEnc[word] }; });
+report.retired  = retired.map(function (tok) { return { word: baseDec[tok], token: tok }; });
+report.rejected = rejected;
+
+/* Base words a fresh build would no longer pick — kept anyway so stored text still decodes */
+if (baseFile) {
+  var dropped = [];
+  keptWords.forEach(function (word) {
+    var reason = null;
+    if (word.indexOf(' ') >= 0) {
+      if (!freshPhrases[word]) reason = phraseFreq[word] ? 'phrase outside --phrases ' + maxPhrases : 'not in corpus';
+    }
+    else if (!freq[word])                  reason = 'not in corpus';
+    else if (freq[word] < minFreq)         reason = 'freq ' + freq[word] + ' < ' + minFreq;
+    else if (rejBultin.indexOf(word) >= 0) reason = 'now in built-in dict';
+    else if (rejStem.indexOf(word) >= 0)   reason = 'now covered by stems';
+    else if (freshRank[word] > capacity)   reason = 'outside --top ' + capacity;
+    if (reason) dropped.push([word, baseEnc[word], reason]);
+  });
+  report.dropped = dropped.map(function (row) { return { word: row[0], token: row[1], reason: row[2] }; });
+  if (dropped.length) {
+    printSectionHeader('KEPT BUT WOULD DROP OUT');
+    say('');
+    printTable(['Word', 'Token', 'Reason'], dropped,
+      dropped.map(function () { return ['white', 'cyan', 'yellow']; }));
+    printInfo(dropped.length + ' base word(s) kept only to preserve existing tokens');
+  }
+}
+
+if (accepted.length === 0 && baseFile) {
+  say('');
+  printWarn('No new words to add. ' + path.basename(baseFile) + ' is unchanged.');
+  finish(0);
+}
+
 if (accepted.length === 0) {
-  console.log('');
+  say('');
   printWarn('No new words to add. Your corpus is fully covered by the built-in dictionary.');
   printInfo('Try a more specialised corpus (medical, legal, technical logs, etc.)');
-  process.exit(0);
+  finish(0);
 }
 
 /* Sort alphabetically for deterministic token assignment */
 accepted.sort();
 
-/* Assign custom tokens in ~[o-z] range */
+/* Chars one use saves: a phrase's gain over its word tokens, else the word's */
+var phraseGain = Object.create(null);
+var phraseUses = Object.create(null);
+phraseCands.forEach(function (c) { phraseGain[c.phrase] = c.gain; phraseUses[c.phrase] = c.freq; });
+function entryGain(word) {
+  return word in phraseGain ? phraseGain[word] : wordGain(word);
+}
+
+/* Assign custom tokens in ~[o-z] range — base tokens first, new words fill free slots */
 var encMap = {};
 var decMap = {};
 var tokenList = [];
-accepted.forEach(function (word, i) {
-  var tok = customTokenFor(i);
+var usedIdx = {};
+keptWords.forEach(function (word) {
+  var tok = baseEnc[word];
+  encMap[word] = tok;
+  decMap[tok]  = word;
+  usedIdx[customIndexOf(tok)] = true;
+});
+retired.forEach(function (tok) {
+  decMap[tok] = baseDec[tok];
+  usedIdx[customIndexOf(tok)] = true;
+});
+var nextIdx = 0;
+accepted.forEach(function (word) {
+  while (usedIdx[nextIdx]) nextIdx++;
+  var tok = customTokenFor(nextIdx);
+  usedIdx[nextIdx] = true;
   encMap[word] = tok;
   decMap[tok]  = word;
-  tokenList.push({ word: word, token: tok, freq: freq[word] });
+  var count = freq[word] || phraseUses[word];
+  tokenList.push({ word: word, token: tok, freq: count, gain: entryGain(word), saved: count * entryGain(word) });
 });
+var allIdx   = Object.keys(encMap).map(function (word) { return customIndexOf(encMap[word]); })
+  .sort(function (a, b) { return a - b; });
+var firstTok = customTokenFor(allIdx[0]);
+var lastTok  = customTokenFor(allIdx[allIdx.length - 1]);
 
-/* Preview table */
+/* Preview table — biggest projected savings first */
 printSectionHeader('CUSTOM TOKENS ASSIGNED');
-console.log('');
+say('');
 var previewRows   = [];
 var previewColors = [];
 var showCount     = Math.min(tokenList.length, 20);
-tokenList.slice(0, showCount).forEach(function (entry) {
-  var saved = entry.word.length - entry.token.length;
-  previewRows.push([entry.word, entry.token, entry.freq.toLocaleString(), '+' + saved + ' chars']);
-  previewColors.push(['white', 'green', 'cyan', 'yellow']);
+tokenList.slice().sort(function (a, b) {
+  return b.saved - a.saved || a.word.localeCompare(b.word);
+}).slice(0, showCount).forEach(function (entry) {
+  previewRows.push([entry.word, entry.token, entry.freq.toLocaleString(), '+' + entry.gain + ' chars', entry.saved.toLocaleString()]);
+  previewColors.push(['white', 'green', 'cyan', 'yellow', 'green']);
 });
 if (tokenList.length > 20) {
-  previewRows.push(['... and ' + (tokenList.length - 20) + ' more', '', '', '']);
-  previewColors.push(['dim','dim','dim','dim']);
+  previewRows.push(['... and ' + (tokenList.length - 20) + ' more', '', '', '', '']);
+  previewColors.push(['dim','dim','dim','dim','dim']);
 }
-printTable(['Word', 'Token', 'Freq', 'Saves'], previewRows, previewColors);
+printTable(['Word', 'Token', 'Freq', 'Saves/use', 'Total saved'], previewRows, previewColors);
 
 /* Write JSON */
 var output = {
@@ -712,15 +1888,17 @@ var output = {
   generated:   new Date().toISOString(),
   creator:     'Prapan Biswas — https://github.com/prapanbiswas/symblex',
   sources:     inputs,
-  total:       accepted.length,
+  base:        baseFile || undefined,
+  total:       allIdx.length,
   token_range: {
-    start:    customTokenFor(0),
-    end:      customTokenFor(accepted.length - 1),
+    start:    firstTok,
+    end:      lastTok,
     note:     'Custom tokens always start with ~[o-z]. Built-in tokens use ~[0-n]. No collision possible.'
   },
   rules: {
     min_word_length:     minLen,
     min_frequency:       minFreq,
+    ranking:             rankMode,
     builtin_overlap:     'rejected',
     stem_overlap:        'rejected',
     capacity:            CUSTOM_CAPACITY
@@ -733,33 +1911,54 @@ fs.writeFileSync(outFile, JSON.stringify(output, null, 2));
 
 /* Final summary */
 printSectionHeader('BUILD COMPLETE');
-console.log('');
+say('');
 printRow('Output file',     co('green', path.resolve(outFile)));
 printRow('Words added',     co('green', accepted.length.toString()));
-printRow('Token range',     co('green', customTokenFor(0) + '  →  ' + customTokenFor(accepted.length - 1)));
+if (baseFile) printRow('Words kept', co('cyan', keptWords.length.toString()) + dim(' (tokens unchanged)'));
+printRow('Token range',     co('green', firstTok + '  →  ' + lastTok));
 printRow('Rejected words',  co('yellow', (rejBultin.length + rejStem.length).toString()) + dim(' (already covered — not wasted, just unnecessary)'));
 printDivider();
 printInfo('Place ' + bold(path.basename(outFile)) + ' in the same folder as symblex.js');
 printInfo('It will auto-load next time Symblex starts in Node.js');
 printInfo('Browser: call ' + bold('Symblex.loadCustomDict(dict)') + ' manually after fetching the file');
-console.log('');
+say('');
 
-/* Estimate coverage improvement */
-var customSet  = new Set(accepted);
+/* Estimate coverage improvement — through a codec loaded with the new
+   dict, so inflections of custom roots (custom-stem rejections) count */
+var builtCodec = sx.createCodec({ customDict: { encode: encMap } });
 var baseHits   = 0;
 var customHits = 0;
+var wordChars  = 0;
+var projected  = 0;
 Object.keys(freq).forEach(function (w) {
   var count = freq[w];
-  if (sx.lookup(w))   baseHits   += count;
-  if (customSet.has(w)) customHits += count;
+  wordChars += count * w.length;
+  if (sx.lookup(w))              baseHits   += count;
+  else if (builtCodec.lookup(w)) customHits += count;
 });
+tokenList.forEach(function (entry) { projected += entry.saved; });
 var total = Object.values(freq).reduce(function (a, b) { return a + b; }, 0);
 var basePct   = total > 0 ? ((baseHits   / total) * 100).toFixed(1) : '0.0';
 var customPct = total > 0 ? (((baseHits + customHits) / total) * 100).toFixed(1) : '0.0';
 
 printSectionHeader('COVERAGE ESTIMATE');
-console.log('');
+say('');
 printRow('Built-in coverage alone',  co('yellow', basePct + '%')   + dim(' of your corpus tokens'));
 printRow('With custom dict added',   co('green',  customPct + '%') + dim(' of your corpus tokens'));
 printRow('Improvement',              co('cyan', '+' + (parseFloat(customPct)-parseFloat(basePct)).toFixed(1) + '%'));
-console.log('');
+printRow('Projected savings',        co('green', projected.toLocaleString() + ' chars') +
+  dim(' from the ' + tokenList.length + ' new tokens' +
+      (wordChars > 0 ? ' (' + ((projected / wordChars) * 100).toFixed(1) + '% of word chars)' : '')));
+say('');
+
+report.output     = path.resolve(outFile);
+report.tokenRange = [firstTok, lastTok];
+report.accepted   = tokenList;
+report.coverage   = {
+  builtin:          +basePct,
+  withCustom:       +customPct,
+  improvement:      +(parseFloat(customPct) - parseFloat(basePct)).toFixed(1),
+  projectedSavings: projected,
+  wordChars:        wordChars
+};
+finish(0);
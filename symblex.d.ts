@@ -11,6 +11,8 @@
  *   const encoded: string = Symblex.encode('working together toward freedom');
  */
 
+import type { Transform } from 'stream';
+
 export interface SymblexStats {
   /** Character count of the original input */
   original: number;
@@ -30,9 +32,13 @@ export interface SymblexStats {
   wordsScanned: number;
   /** Words compressed via direct dictionary lookup */
   dictHits: number;
-  /** Words compressed via suffix stemming */
+  /** Words compressed via suffix stemming (one suffix or a chain) */
   stemHits: number;
-  /** Total compressed words (dictHits + stemHits) */
+  /** Words compressed via a prefix (un-, re-, over- …), with or without a suffix */
+  prefixHits: number;
+  /** Multi-word phrases replaced by one token ("in order to" → ~nG); not part of totalHits */
+  phraseHits: number;
+  /** Total compressed words (dictHits + stemHits + prefixHits) */
   totalHits: number;
   /** Percentage of scanned words that were compressed */
   hitRate: string;
@@ -71,23 +77,122 @@ export interface SymblexRuntime {
   timestamp: string;
 }
 
+export interface SymblexOptions {
+  /**
+   * Keep Title-case and ALL-CAPS words lossless by marking their tokens
+   * (~-XX = Title-case, ~_XX = ALL-CAPS). Mixed-case words are left
+   * uncompressed. Default: false (tokens decode to lowercase).
+   */
+  preserveCase?: boolean;
+  /**
+   * Guarantee decode(encode(s)) === s for any string. Implies preserveCase,
+   * skips any token that would not decode back to the exact word, and makes
+   * encodeToURL write literal + and % as %2B / %25. Default: false.
+   */
+  strict?: boolean;
+  /**
+   * Prefix the output with the active dictionary fingerprint
+   * ("~.." + 6 chars for text, a bit header for packToBase64url) so the
+   * decoder can detect a different or missing custom dictionary.
+   * Default: false.
+   */
+  envelope?: boolean;
+  /**
+   * Binary format for packToBase64url / createPackStream. 1 (default) uses
+   * fixed-width codes; 2 uses Huffman codes weighted by English word and
+   * letter frequency — about a quarter smaller on prose, but it always
+   * carries a 20-bit header, so very short strings can come out longer.
+   * unpackFromBase64url reads both.
+   */
+  packVersion?: 1 | 2;
+  /**
+   * Append a CRC-32 of the whole payload after the END code of
+   * pack / packToBase64url / createPackStream (about 5 bytes more), so
+   * unpacking can tell a damaged payload from a good one. A damaged
+   * payload is then refused (unpack returns "", unpackFromBase64url the
+   * input unchanged) rather than decoded to partial text; with
+   * { strict: true } it throws.
+   * Default: false.
+   */
+  checksum?: boolean;
+}
+
+export interface SymblexMismatch {
+  /** Fingerprint stored in the payload */
+  expected: string;
+  /** Fingerprint of the decoding codec's dictionaries */
+  actual: string;
+}
+
+export interface SymblexDecodeOptions {
+  /**
+   * Called when an enveloped payload was made with different dictionaries.
+   * The decoder then returns the input unchanged.
+   */
+  onMismatch?: (info: SymblexMismatch) => void;
+  /**
+   * unpack / unpackFromBase64url / createUnpackStream only: throw a
+   * SymblexError (the stream emits 'error') for a truncated, corrupt or
+   * foreign payload instead of returning partial text. Read from each
+   * call's own options, never from a codec's defaults. Default: false.
+   */
+  strict?: boolean;
+}
+
+export type SymblexErrorCode =
+  | 'TRUNCATED'
+  | 'BAD_CHECKSUM'
+  | 'UNKNOWN_OPCODE'
+  | 'DICTIONARY_MISMATCH'
+  | 'UNSUPPORTED_VERSION'
+  | 'INVALID_INPUT';
+
+/**
+ * Thrown by a strict unpack.
+ *
+ * @example
+ * try {
+ *   Symblex.unpackFromBase64url(b64, { strict: true });
+ * } catch (e) {
+ *   if (e instanceof Symblex.SymblexError && e.code === 'BAD_CHECKSUM') retry();
+ * }
+ */
+export declare class SymblexError extends Error {
+  constructor(code: SymblexErrorCode, message: string);
+  readonly name: 'SymblexError';
+  readonly code: SymblexErrorCode;
+}
+
 export interface SymblexCustomDict {
   encode: Record<string, string>;
   decode?: Record<string, string>;
   [key: string]: unknown;
 }
 
-declare const Symblex: {
+export interface SymblexCodecConfig {
+  /** Custom dictionary for this codec only (same format as symblex-custom.json) */
+  customDict?: SymblexCustomDict;
+  /** Default options for every call on this codec; per-call options win */
+  options?: SymblexOptions & SymblexDecodeOptions;
+}
+
+/**
+ * A set of Symblex methods bound to one dictionary state.
+ * The default Symblex object is one; createCodec() makes isolated ones.
+ */
+export interface SymblexCodec {
   /**
    * Compress common English words to short URL-safe tokens.
    *
    * - Dictionary words (4+ chars) → 3-char token  e.g. "freedom" → "~7N"
    * - Stem words (derived via suffix) → 4-char token  e.g. "developing" → "~Fle"
    * - All other text passes through unchanged
+   * - A literal ~ that looks like a token is escaped as ~~
    * - Non-Latin characters, emoji, numbers: passed through unchanged
    * - null / undefined / non-string: safely coerced, never throws
    *
    * @param input Any value — auto-coerced to string
+   * @param options Encoding options (e.g. preserveCase)
    * @returns Compressed string with ~XX tokens
    *
    * @example
@@ -97,15 +202,22 @@ declare const Symblex: {
    * Symblex.encode('WORKING TOGETHER');  // case-insensitive
    * // → "~ng ~kQ"
    *
+   * Symblex.encode('Working TOGETHER', { preserveCase: true });
+   * // → "~-ng ~_kQ"
+   *
    * Symblex.encode('你好 🚀 12345');      // non-English: pass through
    * // → "你好 🚀 12345"
    */
-  encode(input: unknown): string;
+  encode(input: unknown, options?: SymblexOptions): string;
 
   /**
    * Expand Symblex tokens back to original words.
    *
    * - Handles both standard tokens (~XX) and suffix tokens (~XXX)
+   * - Restores case from ~-XX (Title-case) and ~_XX (ALL-CAPS) markers
+   * - Turns the ~~ escape back into a literal ~
+   * - Checks a "~.." fingerprint envelope; on a dictionary mismatch calls
+   *   options.onMismatch and returns the input unchanged
    * - Unknown tokens pass through unchanged
    * - Never throws regardless of input
    *
@@ -116,7 +228,7 @@ declare const Symblex: {
    * Symblex.decode('~ng ~kQ ~l6 ~7N');
    * // → "working together toward freedom"
    */
-  decode(input: unknown): string;
+  decode(input: unknown, options?: SymblexDecodeOptions): string;
 
   /**
    * Encode text and replace spaces with + for URL query parameters.
@@ -126,37 +238,71 @@ declare const Symblex: {
    * const url = 'https://mysite.com/?q=' + Symblex.encodeToURL('people working');
    * // → "https://mysite.com/?q=~dE+~ng"
    */
-  encodeToURL(input: unknown): string;
+  encodeToURL(input: unknown, options?: SymblexOptions): string;
 
   /**
-   * Reverse of encodeToURL. Handles both + and %20 as spaces.
+   * Reverse of encodeToURL. Handles both + and %20 as spaces,
+   * and %2B / %25 as literal + and %.
    *
    * @example
    * Symblex.decodeFromURL('~dE+~ng+for+~7N');
    * // → "people working for freedom"
    */
-  decodeFromURL(input: unknown): string;
+  decodeFromURL(input: unknown, options?: SymblexDecodeOptions): string;
+
+  /**
+   * Binary-pack text to a minimal bit stream, as raw bytes — for binary
+   * database columns, WebSocket frames and files. The last byte is padded
+   * with 0 bits. Takes the same options as packToBase64url.
+   *
+   * @example
+   * const bytes = Symblex.pack('working together toward freedom');
+   * // → Uint8Array(9)
+   * ws.send(bytes);
+   */
+  pack(input: unknown, options?: SymblexOptions): Uint8Array;
+
+  /**
+   * Unpack bytes made by pack(). Takes a Uint8Array (or Node Buffer), an
+   * ArrayBuffer, any other typed array / DataView, or an array of byte
+   * values. Returns "" for anything else, and on a dictionary mismatch
+   * (after calling onMismatch). With { strict: true } throws a
+   * SymblexError instead of returning partial text.
+   *
+   * @example
+   * Symblex.unpack(bytes);
+   * // → "working together toward freedom"
+   */
+  unpack(input: Uint8Array | ArrayBuffer | ArrayBufferView | number[], options?: SymblexDecodeOptions): string;
 
   /**
    * Binary-pack text to a minimal bit stream, output as URL-safe base64url.
+   * The same bits as pack(), 6 to a char.
    * This is the most compact output format — 40–65% smaller than the original.
    *
    * Output characters: [A-Za-z0-9-_] — RFC 3986 unreserved, zero %-encoding.
+   * Any Unicode text (accents, CJK, Cyrillic, emoji) is packed code point
+   * by code point and unpacks byte-for-byte.
    *
    * @example
    * const b64 = Symblex.packToBase64url('working together toward freedom');
    * // → "WiyhmUcw8b_4"   (12 chars vs 31 original)
+   *
+   * Symblex.packToBase64url(longText, { packVersion: 2 });  // Huffman codes
    */
-  packToBase64url(input: unknown): string;
+  packToBase64url(input: unknown, options?: SymblexOptions): string;
 
   /**
    * Unpack a base64url binary string back to the original text.
+   * Reads both pack formats; the header tells them apart. A refused
+   * payload (dictionary mismatch, or damage caught by { checksum: true })
+   * comes back unchanged; { strict: true } throws a SymblexError instead.
    *
    * @example
    * Symblex.unpackFromBase64url('WiyhmUcw8b_4');
    * // → "working together toward freedom"
    */
-  unpackFromBase64url(input: unknown): string;
+  unpackFromBase64url(input: unknown, options?: SymblexDecodeOptions): string;
 
   /**
    * Return a detailed compression statistics object.
@@ -165,15 +311,20 @@ declare const Symblex: {
    * Symblex.stats('working together toward freedom');
    * // → { original: 31, textEncoded: 16, binaryEncoded: 12, ... }
    */
-  stats(input: unknown): SymblexStats;
+  stats(input: unknown, options?: SymblexOptions): SymblexStats;
 
   /**
    * Return the token for a word (checking dictionary and stemming).
+   * Custom dictionary words are stem roots too, always as `~.` tokens.
    * Returns null if the word is not compressible.
    *
    * @example
    * Symblex.lookup('freedom');     // → "~7N"
    * Symblex.lookup('developing');  // → "~Fle" (stem)
+   * Symblex.lookup('rebuilding');  // → "~.R2Je" (prefix + stem)
+   * Symblex.lookup('movements');   // → "~.chla" (suffix chain)
+   * Symblex.lookup('children');    // → "~Dux" (irregular form)
+   * Symblex.lookup('in order to'); // → "~nG" (phrase)
    * Symblex.lookup('xyz');         // → null
    */
   lookup(word: string): string | null;
@@ -185,6 +336,8 @@ declare const Symblex: {
    * @example
    * Symblex.reverse('~7N');   // → "freedom"
    * Symblex.reverse('~Fle');  // → "developing"
+   * Symblex.reverse('~.U02'); // → "unable"
+   * Symblex.reverse('~nH');   // → "as well as"
    */
   reverse(token: string): string | null;
 
@@ -210,6 +363,26 @@ declare const Symblex: {
    */
   loadCustomDict(dict: SymblexCustomDict): boolean;
 
+  /**
+   * Remove every custom word. Encoding and decoding are exactly the
+   * built-in dictionary again.
+   *
+   * @returns true if a custom dictionary was loaded before the call
+   */
+  unloadCustomDict(): boolean;
+
+  /**
+   * Swap the custom dictionary in one call — unload, then load `dict`.
+   * Use this for hot reload instead of stacking loadCustomDict() calls.
+   * An invalid dict returns false and keeps the current words.
+   *
+   * @example
+   * fs.watch('symblex-custom.json', () => {
+   *   Symblex.replaceCustomDict(JSON.parse(fs.readFileSync('symblex-custom.json', 'utf8')));
+   * });
+   */
+  replaceCustomDict(dict: SymblexCustomDict): boolean;
+
   /**
    * Return information about the current runtime environment.
    * Use this to verify the library loaded, detect platform,
@@ -222,6 +395,69 @@ declare const Symblex: {
    */
   runtime(): SymblexRuntime;
 
+  /**
+   * Fingerprint of the active built-in + custom dictionaries
+   * (6 base-62 chars). Stored in payloads made with { envelope: true }.
+   *
+   * @example
+   * Symblex.fingerprint();  // → "4a3Wlf" (built-in only)
+   */
+  fingerprint(): string;
+
+  /**
+   * Node.js Transform stream doing encode() on UTF-8 text of any size.
+   * A word split across chunks is held back until the next chunk, so the
+   * output equals encode() on the whole input. Returns null outside Node.js.
+   *
+   * @example
+   * fs.createReadStream('export.log')
+   *   .pipe(Symblex.createEncodeStream({ strict: true }))
+   *   .pipe(fs.createWriteStream('export.log.sx'));
+   */
+  createEncodeStream(options?: SymblexOptions): Transform | null;
+
+  /**
+   * Node.js Transform stream doing decode(). Tokens split across chunks
+   * and a leading "~.." envelope are handled. On a dictionary mismatch
+   * options.onMismatch is called and the input passes through unchanged.
+   * Returns null outside Node.js.
+   */
+  createDecodeStream(options?: SymblexDecodeOptions): Transform | null;
+
+  /**
+   * Node.js Transform stream doing packToBase64url(). The whole stream is
+   * one packed payload, ended when the input ends. Returns null outside
+   * Node.js.
+   */
+  createPackStream(options?: SymblexOptions): Transform | null;
+
+  /**
+   * Node.js Transform stream doing unpackFromBase64url(). Newlines and
+   * other non-base64url characters are skipped. Returns null outside
+   * Node.js.
+   */
+  createUnpackStream(options?: SymblexDecodeOptions): Transform | null;
+}
+
+declare const Symblex: SymblexCodec & {
+  /**
+   * Create an isolated codec with its own custom dictionary and default
+   * options. Loading a dictionary into one codec never changes another,
+   * or the default Symblex object. symblex-custom.json is not auto-loaded.
+   *
+   * @example
+   * const tenant = Symblex.createCodec({
+   *   customDict: tenantDict,
+   *   options: { preserveCase: true },
+   * });
+   * tenant.encode('Patient diagnosis');  // → "~-oc ~od"
+   * Symblex.encode('Patient diagnosis'); // unaffected
+   */
+  createCodec(config?: SymblexCodecConfig): SymblexCodec;
+
+  /** Error class thrown by strict unpacking */
+  readonly SymblexError: typeof SymblexError;
+
   /** Library version string */
   readonly VERSION: string;
   /** Author name */
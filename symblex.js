@@ -26,12 +26,15 @@
  *  ────────────────
  *  Symblex compresses common English words into short 3–4 character
  *  URL-safe tokens using a hardcoded dictionary of 1,468 words plus
- *  a stemming engine that handles word suffixes.
+ *  a stemming engine that handles word suffixes and prefixes.
  *
  *  THREE COMPRESSION LAYERS:
  *    Layer 1 — Direct dictionary   "freedom"   → "~7N"    (3 chars)
+ *              Phrases           "in order to" → "~nG"  (3 chars)
  *    Layer 2 — Suffix stemming     "developing"→ "~Fle"   (4 chars)
+ *              Prefix stemming     "rebuilding"→ "~.R2Je" (5–6 chars)
  *    Layer 3 — Binary base64url    text → bit-packed base64url string
+ *              { packVersion: 2 }  Huffman codes, common words shortest
  *
  *  WHAT IS SUPPORTED:
  *  ────────────────────────────────────────────────────────────
@@ -103,6 +106,8 @@
   for (var _i = 0; _i < B62.length; _i++) B62IDX[B62[_i]] = _i;
 
   var BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  var B64IDX    = {};
+  for (_i = 0; _i < BASE64URL.length; _i++) B64IDX[BASE64URL[_i]] = _i;
 
 var _SX_WORDS  = [
   "abandon", "ability", "able", "aboard", "about", "above", "absence", "absolute",
@@ -882,12 +887,114 @@ var _SX_DECODE = {
   "~ny":"young", "~nz":"your", "~nA":"youth", "~nB":"zebra", "~nC":"zero",
   "~nD":"zilch", "~nE":"zonal", "~nF":"zone"
 };
+var _SX_PHRASES = [
+  "in order to", "as well as", "at the same time", "on the other hand",
+  "for example", "for instance", "in addition to", "as a result",
+  "according to", "in terms of", "as soon as", "as long as",
+  "as far as", "even though", "such as", "rather than",
+  "because of", "one of the", "at least", "of course",
+];
+
+/* Built-in words most common in English text, most common first
+   — the weights behind the v2 pack codes (see BINARY PACK v2) */
+var _SX_COMMON = [
+  "that", "have", "with", "this", "from", "they", "will",
+  "would", "there", "their", "what", "about", "which", "when",
+  "make", "like", "time", "just", "know", "take", "people",
+  "into", "year", "your", "good", "some", "could", "them",
+  "other", "than", "then", "look", "only", "come", "over",
+  "think", "also", "back", "after", "work", "first", "well",
+  "even", "because", "these", "give", "most", "were", "been",
+  "made", "being", "more", "very", "much", "should", "need",
+  "here", "where", "feel", "tell", "call", "still", "leave",
+  "mean", "keep", "begin", "help", "talk", "turn", "start",
+  "play", "move", "live", "believe", "hold", "bring", "write",
+  "provide", "stand", "lose", "meet", "include", "learn",
+  "change", "lead", "watch", "follow", "stop", "create",
+  "speak", "read", "allow", "spend", "grow", "open", "walk",
+  "offer", "love", "appear", "wait", "serve", "send", "expect",
+  "build", "stay", "fall", "reach", "remain", "raise", "pass",
+  "sell", "require", "decide", "pull", "thing", "life",
+  "child", "world", "state", "family", "student", "group",
+  "country", "problem", "hand", "part", "place", "case",
+  "week", "company", "program", "number", "night", "point",
+  "home", "water", "room", "mother", "area", "money", "story",
+  "fact", "month", "right", "study", "book", "word",
+  "business", "issue", "side", "kind", "head", "house",
+  "service", "friend", "power", "hour", "game", "line",
+  "member", "city", "name", "team", "idea", "body", "nothing",
+  "long", "great", "little", "high", "small", "next", "early",
+  "young", "public", "same", "able", "last", "late", "hard",
+  "major", "better", "strong", "whole", "free", "true",
+  "federal", "full", "special", "clear", "recent", "short",
+  "single", "current", "past", "common", "poor", "similar",
+  "central", "happy", "simple", "left", "general", "dark",
+  "entire", "close", "legal", "final", "main", "green", "nice",
+  "huge", "popular", "never", "always", "often", "again",
+  "however", "almost", "today", "together", "already",
+  "although", "enough", "though", "less", "since", "against",
+  "without", "before", "under", "around", "among", "between",
+  "within", "upon", "toward", "behind", "while", "every",
+  "each", "both", "either", "such", "those", "whether",
+  "someone", "another",
+];
+
+/* Punctuation and whitespace runs packed as one code, most
+   common first (see BINARY PACK) */
+var _SX_RUNS = [
+  ". ", ", ", "\r\n", "\n\n", ": ", ".\n", "\n  ", "\n    ",
+  "\t\t", "\n\t", "\": \"", "\", \"", "\":", "\",", "://", "; ",
+  "? ", "! ", " - ", "...", "--", "\r\n\r\n", "\n\n\n", "\n      ",
+  "\n        ", "\n\t\t", "    ", "        ", "();", ");", "),", "()",
+  "=>", "->", "==", "!=", "&&", "||", "::", "//",
+  "/*", "*/", "**", "##", "[]", "{}", "\"\"", ",\n",
+  ":\n", "---", "===", ">=", "<=", "</", "/>", "\t\t\t",
+];
+
+  /* ─────────────────────────────────────────────────────────
+   *  TOKEN ZONES
+   *  Built-in words keep their index in _SX_WORDS (0-1467).
+   *  Built-in phrases follow at ~nG-~nZ (1468-1487).
+   *  Custom words live at ~[o-z]XX (token indices 1488-2231)
+   *  whatever order they were loaded in.
+   * ───────────────────────────────────────────────────────── */
+  var _SX_BUILTIN  = _SX_WORDS.length;
+  var PHRASE_FIRST = _SX_BUILTIN;     /* ~nG */
+  var CUSTOM_FIRST = 24 * 62;         /* ~o0 */
+  var CUSTOM_LAST  = 36 * 62 - 1;     /* ~zZ */
+
+  /* ─────────────────────────────────────────────────────────
+   *  PHRASES
+   *  A phrase is two or more words joined by single spaces
+   *  ("in order to"), held under one 3-char token. Built-in
+   *  phrases are below; a custom dictionary adds its own
+   *  entries the same way it adds words:
+   *    { "encode": { "customer support ticket": "~p3" } }
+   *  encode() takes the longest phrase starting at each word,
+   *  left to right, and only where the words are separated by
+   *  exactly one space. A phrase keeps its case marker like a
+   *  word: "In order to" → ~-nG, "IN ORDER TO" → ~_nG.
+   * ───────────────────────────────────────────────────────── */
+  var PHRASE_RE   = /^[a-z]+(?: [a-z]+)+$/;
+  var _SX_PHRASE_ENC  = {};
+  var _SX_PHRASE_DEC  = {};
+  var _SX_PHRASE_HEAD = {};
+  var _SX_PHRASE_MAX  = 0;
+  _SX_PHRASES.forEach(function (phrase, pi) {
+    var tok   = _idxTok(PHRASE_FIRST + pi);
+    var words = phrase.split(' ');
+    _SX_PHRASE_ENC[phrase] = tok;
+    _SX_PHRASE_DEC[tok]    = phrase;
+    _SX_PHRASE_HEAD[words[0]] = Math.max(_SX_PHRASE_HEAD[words[0]] || 0, words.length);
+    _SX_PHRASE_MAX = Math.max(_SX_PHRASE_MAX, words.length);
+  });
 
   /* ─────────────────────────────────────────────────────────
    *  SUFFIX SYSTEM
    * ─────────────────────────────────────────────────────────
    *  Standard tokens: ~[0-9a-n][0-9a-zA-Z]   (3 chars, index 0-1467)
-   *  Suffix  tokens:  ~[A-Z][0-9a-zA-Z][a-o] (4 chars)
+   *  Suffix  tokens:  ~[A-Z][0-9a-zA-Z][a-z] (4 chars)
+   *  Codes a-o are below, p-z under SPELLING RULES.
    *  Uppercase first char = unambiguous suffix token marker
    * ───────────────────────────────────────────────────────── */
   var SUFFIX_TABLE = {
@@ -915,7 +1022,187 @@ var _SX_DECODE = {
     ['ly','j'],   ['es','b'],   ['s','a']
   ];
 
-  var SUFFIX_CODES = Object.keys(SUFFIX_TABLE);
+  /* ─────────────────────────────────────────────────────────
+   *  SPELLING RULES AND IRREGULAR FORMS
+   * ─────────────────────────────────────────────────────────
+   *  Codes p-w add a suffix the way English spells it:
+   *    doubled   root + last consonant + suffix
+   *    y → i     root without its final y + suffix
+   *  Codes x, y, z pick the 1st, 2nd and 3rd form listed for
+   *  the root in IRREGULAR (past / participle for verbs,
+   *  plural for nouns, comparative / superlative for adjectives).
+   *  Roots are 4+ letters, like every dictionary word.
+   * ───────────────────────────────────────────────────────── */
+  var ORTHO_TABLE = {
+    'p': ['ing',   true ],  // stopping  (stop → stopp-)
+    'q': ['ed',    true ],  // stopped
+    'r': ['er',    true ],  // planner
+    's': ['ies',   false],  // studies   (study → stud-)
+    't': ['ied',   false],  // studied
+    'u': ['ier',   false],  // happier
+    'v': ['ily',   false],  // happily
+    'w': ['iness', false]   // happiness
+  };
+
+  var IRREGULAR_CODES = ['x', 'y', 'z'];
+
+  var IRREGULAR = {
+    /* nouns */
+    'analysis': ['analyses'],  'appendix': ['appendices'], 'basis':     ['bases'],
+    'cactus':   ['cacti'],     'child':    ['children'],   'crisis':    ['crises'],
+    'criterion':['criteria'],  'datum':    ['data'],       'foot':      ['feet'],
+    'fungus':   ['fungi'],     'goose':    ['geese'],      'half':      ['halves'],
+    'hypothesis':['hypotheses'],'index':   ['indices'],    'knife':     ['knives'],
+    'leaf':     ['leaves'],    'life':     ['lives'],      'loaf':      ['loaves'],
+    'matrix':   ['matrices'],  'medium':   ['media'],      'mouse':     ['mice'],
+    'nucleus':  ['nuclei'],    'person':   ['people'],     'phenomenon':['phenomena'],
+    'radius':   ['radii'],     'self':     ['selves'],     'shelf':     ['shelves'],
+    'stimulus': ['stimuli'],   'thesis':   ['theses'],     'thief':     ['thieves'],
+    'tooth':    ['teeth'],     'vertex':   ['vertices'],   'wife':      ['wives'],
+    'wolf':     ['wolves'],    'woman':    ['women'],
+    /* adjectives */
+    'good':     ['better', 'best'],        'little':   ['less', 'least'],
+    /* verbs */
+    'arise':    ['arose', 'arisen'],       'awake':    ['awoke', 'awoken'],
+    'bear':     ['bore', 'borne', 'born'], 'beat':     ['beat', 'beaten'],
+    'become':   ['became'],                'begin':    ['began', 'begun'],
+    'bend':     ['bent'],                  'bind':     ['bound'],
+    'bite':     ['bit', 'bitten'],         'bleed':    ['bled'],
+    'blow':     ['blew', 'blown'],         'break':    ['broke', 'broken'],
+    'breed':    ['bred'],                  'bring':    ['brought'],
+    'build':    ['built'],                 'catch':    ['caught'],
+    'choose':   ['chose', 'chosen'],       'cling':    ['clung'],
+    'come':     ['came'],                  'creep':    ['crept'],
+    'deal':     ['dealt'],                 'draw':     ['drew', 'drawn'],
+    'dream':    ['dreamt'],                'drink':    ['drank', 'drunk'],
+    'drive':    ['drove', 'driven'],       'dwell':    ['dwelt'],
+    'feed':     ['fed'],                   'feel':     ['felt'],
+    'fight':    ['fought'],                'find':     ['found'],
+    'flee':     ['fled'],                  'fling':    ['flung'],
+    'forbid':   ['forbade', 'forbidden'],  'forget':   ['forgot', 'forgotten'],
+    'forgive':  ['forgave', 'forgiven'],   'freeze':   ['froze', 'frozen'],
+    'give':     ['gave', 'given'],         'grind':    ['ground'],
+    'grow':     ['grew', 'grown'],         'hang':     ['hung'],
+    'have':     ['had'],                   'hear':     ['heard'],
+    'hide':     ['hid', 'hidden'],         'hold':     ['held'],
+    'keep':     ['kept'],                  'kneel':    ['knelt'],
+    'know':     ['knew', 'known'],         'lead':     ['led'],
+    'leap':     ['leapt'],                 'leave':    ['left'],
+    'lend':     ['lent'],                  'lose':     ['lost'],
+    'make':     ['made'],                  'mean':     ['meant'],
+    'meet':     ['met'],                   'ride':     ['rode', 'ridden'],
+    'ring':     ['rang', 'rung'],          'rise':     ['rose', 'risen'],
+    'seek':     ['sought'],                'sell':     ['sold'],
+    'send':     ['sent'],                  'shake':    ['shook', 'shaken'],
+    'shine':    ['shone'],                 'shoot':    ['shot'],
+    'show':     ['showed', 'shown'],       'shrink':   ['shrank', 'shrunk'],
+    'sing':     ['sang', 'sung'],          'sink':     ['sank', 'sunk'],
+    'sleep':    ['slept'],                 'slide':    ['slid'],
+    'speak':    ['spoke', 'spoken'],       'speed':    ['sped'],
+    'spend':    ['spent'],                 'spin':     ['spun'],
+    'spring':   ['sprang', 'sprung'],      'stand':    ['stood'],
+    'steal':    ['stole', 'stolen'],       'stick':    ['stuck'],
+    'sting':    ['stung'],                 'stink':    ['stank', 'stunk'],
+    'strike':   ['struck', 'stricken'],    'string':   ['strung'],
+    'strive':   ['strove', 'striven'],     'swear':    ['swore', 'sworn'],
+    'sweep':    ['swept'],                 'swim':     ['swam', 'swum'],
+    'swing':    ['swung'],                 'take':     ['took', 'taken'],
+    'teach':    ['taught'],                'tear':     ['tore', 'torn'],
+    'tell':     ['told'],                  'think':    ['thought'],
+    'throw':    ['threw', 'thrown'],       'tread':    ['trod', 'trodden'],
+    'understand':['understood'],           'wake':     ['woke', 'woken'],
+    'wear':     ['wore', 'worn'],          'weave':    ['wove', 'woven'],
+    'weep':     ['wept'],                  'wind':     ['wound'],
+    'write':    ['wrote', 'written']
+  };
+
+  /* surface form → [root, code]; the first root listed wins */
+  var IRREGULAR_ROOT = {};
+  Object.keys(IRREGULAR).forEach(function (root) {
+    IRREGULAR[root].forEach(function (form, i) {
+      if (!_has(IRREGULAR_ROOT, form)) IRREGULAR_ROOT[form] = [root, IRREGULAR_CODES[i]];
+    });
+  });
+
+  var SUFFIX_CODES = Object.keys(SUFFIX_TABLE).concat(Object.keys(ORTHO_TABLE), IRREGULAR_CODES);
+
+  /* ─────────────────────────────────────────────────────────
+   *  PREFIX SYSTEM  (extended tokens)
+   * ─────────────────────────────────────────────────────────
+   *  Extended tokens: ~.[A-Z]?[0-9a-z][0-9a-zA-Z][a-z]{0,3}
+   *    .          extended-token marker (never base-62)
+   *    [A-Z]      prefix code, optional
+   *    XX         root — body of a built-in or custom word token
+   *    [a-z]{0,3} suffix codes from SUFFIX_TABLE, applied in order
+   *  A root body never starts with A-Z (index 2231 is ~zZ),
+   *  so the prefix letter can't be read as part of the root.
+   *    unable        → ~.U02    un + able
+   *    rebuilding    → ~.R2Je   re + build + ing
+   *    helplessness  → ~.9cnk   help + less + ness
+   *  One suffix with no prefix keeps the shorter ~[A-Z]XX form.
+   *  Longest prefix is tried first ("under" before "un").
+   * ───────────────────────────────────────────────────────── */
+  var PREFIX_TABLE = {
+    'A': 'anti',
+    'D': 'dis',
+    'E': 'under',
+    'I': 'inter',
+    'M': 'mis',
+    'N': 'non',
+    'O': 'over',
+    'P': 'pre',
+    'R': 're',
+    'S': 'sub',
+    'T': 'out',
+    'U': 'un'
+  };
+
+  var PREFIX_STRIP = Object.keys(PREFIX_TABLE).sort(function (a, b) {
+    return PREFIX_TABLE[b].length - PREFIX_TABLE[a].length || (a < b ? -1 : 1);
+  });
+
+  var SUFFIX_CHAIN = 3;
+
+  var EXT_RE = /^~\.([A-Z]?)([0-9a-z][0-9a-zA-Z])([a-z]{0,3})$/;
+
+  /* ─────────────────────────────────────────────────────────
+   *  CASE MARKERS  (preserveCase mode)
+   * ─────────────────────────────────────────────────────────
+   *  A marker between ~ and the token body records the case
+   *  of the original word:
+   *    ~ng   = working      (lowercase, default)
+   *    ~-ng  = Working      (Title-case)
+   *    ~_ng  = WORKING      (ALL-CAPS)
+   *  '-' and '_' are RFC 3986 unreserved and never base-62,
+   *  so marked tokens stay URL-safe and unambiguous.
+   *  Mixed case ("iPhone") is left uncompressed in this mode.
+   * ───────────────────────────────────────────────────────── */
+  var CASE_LOWER = 0;
+  var CASE_TITLE = 1;
+  var CASE_UPPER = 2;
+  var CASE_MIXED = 3;
+
+  var CASE_MARK  = { 1: '-', 2: '_' };
+
+  /* ─────────────────────────────────────────────────────────
+   *  TILDE ESCAPE
+   * ─────────────────────────────────────────────────────────
+   *  A literal ~ that decode() could mistake for the start of a
+   *  token ("~0c", "~Fle", "~~", "~..") is written as ~~ by encode().
+   *  A ~ followed by anything else ("~/path", "~ 5") is left
+   *  as-is. decode() turns every ~~ back into a single ~.
+   * ───────────────────────────────────────────────────────── */
+  var ESCAPE_TOK = '~~';
+
+  /* Token grammar understood by decode() */
+  var TOKEN_RE   = /~~|~([-_]?)(\.[A-Z]?[0-9a-z][0-9a-zA-Z][a-z]{0,3}|[A-Z][0-9a-zA-Z][a-z]|[0-9a-zA-Z][0-9a-zA-Z])/g;
+
+  /* Longest token decode() reads: ~-.U02mjk */
+  var TOKEN_MAX  = 9;
+
+  /* Word runs (words joined by single spaces, where phrases can
+     match) and tildes that encode() has to look at */
+  var ENCODE_RE  = /[a-zA-Z]+(?: [a-zA-Z]+)*|~(?=[~\-_.0-9a-zA-Z])/g;
 
   /* ─────────────────────────────────────────────────────────
    *  SAFE INPUT COERCION
@@ -932,6 +1219,48 @@ var _SX_DECODE = {
     try { return String(input); } catch (e) { return ''; }
   }
 
+  function _safeOpts(options) {
+    return (options && typeof options === 'object') ? options : {};
+  }
+
+  /* strict implies preserveCase */
+  function _encodeOpts(options) {
+    var o = _safeOpts(options);
+    return {
+      strict:       !!o.strict,
+      preserveCase: !!(o.preserveCase || o.strict),
+      envelope:     !!o.envelope,
+      packVersion:  o.packVersion === 2 ? 2 : PACK_VERSION,
+      checksum:     !!o.checksum
+    };
+  }
+
+  /* Own-property lookup — "constructor" is not a dictionary word */
+  function _has(map, key) {
+    return Object.prototype.hasOwnProperty.call(map, key);
+  }
+
+  /* ─────────────────────────────────────────────────────────
+   *  CASE HELPERS
+   * ───────────────────────────────────────────────────────── */
+  function _caseOf(word) {
+    var lower = word.toLowerCase();
+    if (word === lower) return CASE_LOWER;
+    if (word === word.toUpperCase()) return CASE_UPPER;
+    if (word[0] === word[0].toUpperCase() && word.slice(1) === lower.slice(1)) return CASE_TITLE;
+    return CASE_MIXED;
+  }
+
+  function _applyCase(word, kind) {
+    if (kind === CASE_UPPER) return word.toUpperCase();
+    if (kind === CASE_TITLE) return word.charAt(0).toUpperCase() + word.slice(1);
+    return word;
+  }
+
+  function _markCase(tok, kind) {
+    return CASE_MARK[kind] ? '~' + CASE_MARK[kind] + tok.slice(1) : tok;
+  }
+
   /* ─────────────────────────────────────────────────────────
    *  SUFFIX HELPERS
    * ───────────────────────────────────────────────────────── */
@@ -939,55 +1268,227 @@ var _SX_DECODE = {
     return '~' + String.fromCharCode(65 + Math.floor(rootIdx / 62)) + B62[rootIdx % 62] + sfxCode;
   }
 
+  /* Base-62 index of a 3-char token, or -1 */
+  function _tokIndex(tok) {
+    if (typeof tok !== 'string' || tok.length !== 3 || tok[0] !== '~') return -1;
+    if (B62IDX[tok[1]] === undefined || B62IDX[tok[2]] === undefined) return -1;
+    return B62IDX[tok[1]] * 62 + B62IDX[tok[2]];
+  }
+
+  function _idxTok(idx) {
+    return '~' + B62[Math.floor(idx / 62)] + B62[idx % 62];
+  }
+
+  /* root + suffix code → surface form, or null if the code
+     does not apply to this root */
+  function _applySuffix(root, sfxCode) {
+    var rule, last = root[root.length - 1] || '';
+    if (_has(SUFFIX_TABLE, sfxCode)) {
+      rule = SUFFIX_TABLE[sfxCode];
+      return (rule[1] && last === 'e') ? root.slice(0, -1) + rule[0] : root + rule[0];
+    }
+    if (_has(ORTHO_TABLE, sfxCode)) {
+      rule = ORTHO_TABLE[sfxCode];
+      if (rule[1]) return /[bcdfghjklmnpqrstvz]/.test(last) ? root + last + rule[0] : null;
+      return last === 'y' ? root.slice(0, -1) + rule[0] : null;
+    }
+    var form = IRREGULAR_CODES.indexOf(sfxCode);
+    if (form >= 0 && _has(IRREGULAR, root)) return IRREGULAR[root][form] || null;
+    return null;
+  }
+
+  /* [base, code] pairs that could have made `word`, most
+     regular first; _applySuffix decides which are real */
+  function _unsuffix(word) {
+    var out = [];
+    var si, sfx, stem;
+    for (si = 0; si < SUFFIX_STRIP.length; si++) {
+      sfx = SUFFIX_STRIP[si][0];
+      if (word.length <= sfx.length || word.slice(-sfx.length) !== sfx) continue;
+      stem = word.slice(0, -sfx.length);
+      out.push([stem, SUFFIX_STRIP[si][1]]);
+      if (SUFFIX_TABLE[SUFFIX_STRIP[si][1]][1]) out.push([stem + 'e', SUFFIX_STRIP[si][1]]);
+    }
+    for (var code in ORTHO_TABLE) {
+      if (!_has(ORTHO_TABLE, code)) continue;
+      sfx = ORTHO_TABLE[code][0];
+      if (word.length <= sfx.length + 1 || word.slice(-sfx.length) !== sfx) continue;
+      stem = word.slice(0, -sfx.length);
+      out.push([ORTHO_TABLE[code][1] ? stem.slice(0, -1) : stem + 'y', code]);
+    }
+    if (_has(IRREGULAR_ROOT, word)) out.push(IRREGULAR_ROOT[word]);
+    return out;
+  }
+
   function _decodeSufTok(tok) {
     try {
       var rootIdx = (tok.charCodeAt(1) - 65) * 62 + (B62IDX[tok[2]] || 0);
-      var sfxCode = tok[3];
-      var rule    = SUFFIX_TABLE[sfxCode];
-      if (!rule || rootIdx >= _SX_WORDS.length) return tok;
-      var root   = _SX_WORDS[rootIdx];
-      var sfxStr = rule[0];
-      var eDrop  = rule[1];
-      return (eDrop && root.length > 0 && root[root.length - 1] === 'e')
-        ? root.slice(0, -1) + sfxStr
-        : root + sfxStr;
+      if (rootIdx >= _SX_BUILTIN) return tok;
+      var word = _applySuffix(_SX_WORDS[rootIdx], tok[3]);
+      return word === null ? tok : word;
     } catch (e) { return tok; }
   }
 
-  function _stemEncode(word) {
+  /* Token index of a built-in or custom-zone root, or -1 */
+  function _rootIndex(st, word) {
+    var tok = _wordTok(st, word);
+    var idx = _tokIndex(tok);
+    if (idx >= 0 && idx < _SX_BUILTIN) return _SX_WORDS[idx] === word ? idx : -1;
+    if (idx >= CUSTOM_FIRST && idx <= CUSTOM_LAST) return _tokWord(st, tok) === word ? idx : -1;
+    return -1;
+  }
+
+  /* Word for a root index, or null (custom root not loaded,
+     or a phrase) */
+  function _rootWord(st, idx) {
+    if (idx >= 0 && idx < _SX_BUILTIN) return _SX_WORDS[idx];
+    if (idx < CUSTOM_FIRST || idx > CUSTOM_LAST) return null;
+    var word = _tokWord(st, _idxTok(idx));
+    return word !== null && word.indexOf(' ') < 0 ? word : null;
+  }
+
+  /* Peeling is the slow part of encode() and text repeats its
+     words, so recent splits are kept (dropped wholesale when full) */
+  var SPLIT_CACHE_MAX = 10000;
+
+  /* [root index, suffix codes] for a built-in or custom root plus
+     up to SUFFIX_CHAIN suffixes, or null. The shortest chain wins. */
+  function _suffixSplit(st, word) {
+    if (word in st.splits) return st.splits[word];
+    var split = null;
+    for (var depth = 0; depth <= SUFFIX_CHAIN && !split; depth++) split = _peelSuffixes(st, word, depth);
+    if (++st.splitCount > SPLIT_CACHE_MAX) _clearSplits(st);
+    return (st.splits[word] = split);
+  }
+
+  /* Peels exactly `depth` suffixes. Every step is checked by
+     rebuilding the word, so e-drop never gives a wrong split. */
+  function _peelSuffixes(st, word, depth) {
+    if (depth === 0) {
+      var idx = _rootIndex(st, word);
+      return idx >= 0 ? [idx, ''] : null;
+    }
+    var cands = _unsuffix(word);
+    for (var ci = 0; ci < cands.length; ci++) {
+      var base = cands[ci][0];
+      var code = cands[ci][1];
+      if (base.length < 4 || _applySuffix(base, code) !== word) continue;
+      var split = _peelSuffixes(st, base, depth - 1);
+      if (split) return [split[0], split[1] + code];
+    }
+    return null;
+  }
+
+  /* Built-in root + one suffix → ~[A-Z]XX token; a chain or a
+     custom root → ~.XX + codes */
+  function _stemEncode(st, word) {
     try {
-      for (var si = 0; si < SUFFIX_STRIP.length; si++) {
-        var sfxStr  = SUFFIX_STRIP[si][0];
-        var sfxCode = SUFFIX_STRIP[si][1];
-        var rule    = SUFFIX_TABLE[sfxCode];
-        if (word.length <= sfxStr.length) continue;
-        if (word.slice(-sfxStr.length) !== sfxStr) continue;
-        var root = word.slice(0, -sfxStr.length);
-        if (_SX_ENCODE[root] !== undefined) {
-          var ri = _SX_WORDS.indexOf(root);
-          if (ri >= 0) return _makeSufTok(ri, sfxCode);
-        }
-        if (rule[1]) {
-          var rootE = root + 'e';
-          if (_SX_ENCODE[rootE] !== undefined) {
-            var riE = _SX_WORDS.indexOf(rootE);
-            if (riE >= 0) return _makeSufTok(riE, sfxCode);
-          }
-        }
-      }
+      var split = _suffixSplit(st, word);
+      if (!split || !split[1]) return null;
+      if (split[1].length === 1 && split[0] < _SX_BUILTIN) return _makeSufTok(split[0], split[1]);
+      var tok = '~.' + _idxTok(split[0]).slice(1) + split[1];
+      return tok.length < word.length ? tok : null;
     } catch (e) { /* stem failed silently */ }
     return null;
   }
 
+  /* ─────────────────────────────────────────────────────────
+   *  PREFIX HELPERS
+   * ───────────────────────────────────────────────────────── */
+  function _prefixEncode(st, word) {
+    try {
+      for (var pi = 0; pi < PREFIX_STRIP.length; pi++) {
+        var code = PREFIX_STRIP[pi];
+        var pre  = PREFIX_TABLE[code];
+        if (word.length <= pre.length || word.slice(0, pre.length) !== pre) continue;
+        var split = _suffixSplit(st, word.slice(pre.length));
+        if (!split) continue;
+        var tok = '~.' + code + _idxTok(split[0]).slice(1) + split[1];
+        if (tok.length < word.length) return tok;
+      }
+    } catch (e) { /* prefix failed silently */ }
+    return null;
+  }
+
+  /* Word for an extended token, or null */
+  function _decodeExt(st, tok) {
+    try {
+      var m = EXT_RE.exec(tok);
+      if (!m) return null;
+      var pre  = m[1] ? (_has(PREFIX_TABLE, m[1]) ? PREFIX_TABLE[m[1]] : null) : '';
+      var word = _rootWord(st, _tokIndex('~' + m[2]));
+      if (pre === null || word === null) return null;
+      for (var si = 0; si < m[3].length && word !== null; si++) word = _applySuffix(word, m[3][si]);
+      return word === null ? null : pre + word;
+    } catch (e) { return null; }
+  }
+
+  /* ─────────────────────────────────────────────────────────
+   *  DICTIONARY STATE
+   *  The built-in maps above are never modified. Custom words
+   *  live in a state object, one per codec:
+   *    enc / dec   custom word → token / token → word
+   *    words       custom words not already built in (list())
+   *    count       custom words merged so far
+   *    loaded      whether a custom dictionary was loaded
+   *    fp          cached fingerprint (null = recompute)
+   *    splits      cached stem splits, cleared with the words
+   *    heads       first word of each custom phrase → its most
+   *                words; phraseMax = most words of any phrase
+   *    options     default options for every call
+   *  The public Symblex object uses the shared _default state;
+   *  createCodec() makes a fresh one.
+   * ───────────────────────────────────────────────────────── */
+  function _newState(options) {
+    var opts = {};
+    var src  = _safeOpts(options);
+    Object.keys(src).forEach(function (k) { opts[k] = src[k]; });
+    return {
+      enc: {}, dec: {}, words: [], count: 0, loaded: false, fp: null,
+      splits: Object.create(null), splitCount: 0,
+      heads: Object.create(null), phraseMax: _SX_PHRASE_MAX, options: opts
+    };
+  }
+
+  var _default = _newState();
+
+  /* Custom entries first, then built-in */
+  function _wordTok(st, lower) {
+    if (_has(st.enc, lower)) return st.enc[lower];
+    if (_has(_SX_ENCODE, lower)) return _SX_ENCODE[lower];
+    if (_has(_SX_PHRASE_ENC, lower)) return _SX_PHRASE_ENC[lower];
+    return null;
+  }
+
+  function _tokWord(st, tok) {
+    if (_has(st.dec, tok)) return st.dec[tok];
+    if (_has(_SX_DECODE, tok)) return _SX_DECODE[tok];
+    if (_has(_SX_PHRASE_DEC, tok)) return _SX_PHRASE_DEC[tok];
+    return null;
+  }
+
+  /* Most words a phrase starting with `head` can have */
+  function _phraseHead(st, head) {
+    var own = st.heads[head] || 0;
+    var bi  = _has(_SX_PHRASE_HEAD, head) ? _SX_PHRASE_HEAD[head] : 0;
+    return own > bi ? own : bi;
+  }
+
+  /* Per-call options over the codec's defaults */
+  function _opts(st, options) {
+    var out = {};
+    var src = _safeOpts(options);
+    Object.keys(st.options).forEach(function (k) { out[k] = st.options[k]; });
+    Object.keys(src).forEach(function (k) { if (src[k] !== undefined) out[k] = src[k]; });
+    return out;
+  }
+
   /* ─────────────────────────────────────────────────────────
    *  CUSTOM DICTIONARY LOADER
    *  Automatically loads symblex-custom.json from the same
    *  directory as symblex.js when running in Node.js.
    *  In the browser, call Symblex.loadCustomDict(obj) manually.
    * ───────────────────────────────────────────────────────── */
-  var _customDictLoaded = false;
-  var _customWords      = 0;
-
   function _loadCustomDictNode() {
     try {
       var path = require('path');
@@ -997,59 +1498,181 @@ var _SX_DECODE = {
       if (!fs.existsSync(fp)) return;
       var raw  = fs.readFileSync(fp, 'utf8');
       var dict = JSON.parse(raw);
-      _mergeCustomDict(dict);
-      _customDictLoaded = true;
+      _mergeCustomDict(_default, dict);
+      _default.loaded = true;
       if (typeof console !== 'undefined') {
-        console.log('[Symblex] Custom dictionary loaded: ' + fp + ' (' + _customWords + ' custom words)');
+        console.log('[Symblex] Custom dictionary loaded: ' + fp + ' (' + _default.count + ' custom words)');
       }
     } catch (e) {
       /* No custom dict or unreadable — continue silently */
     }
   }
 
-  function _mergeCustomDict(dict) {
+  function _mergeCustomDict(st, dict) {
     try {
       var enc = dict.encode || dict;
       var dec = dict.decode || {};
-      var added = 0;
       Object.keys(enc).forEach(function (word) {
         var tok = enc[word];
         if (typeof word === 'string' && typeof tok === 'string' && word.length >= 4) {
-          _SX_ENCODE[word.toLowerCase()] = tok;
-          _SX_DECODE[tok] = word.toLowerCase();
-          if (!_SX_WORDS.includes(word.toLowerCase())) _SX_WORDS.push(word.toLowerCase());
-          added++;
+          var lower = word.toLowerCase();
+          st.enc[lower] = tok;
+          st.dec[tok]   = lower;
+          if (PHRASE_RE.test(lower)) {
+            var words = lower.split(' ');
+            st.heads[words[0]] = Math.max(st.heads[words[0]] || 0, words.length);
+            st.phraseMax = Math.max(st.phraseMax, words.length);
+          }
+          if (!_has(_SX_ENCODE, lower) && st.words.indexOf(lower) < 0) st.words.push(lower);
         }
       });
       Object.keys(dec).forEach(function (tok) {
         var word = dec[tok];
         if (typeof tok === 'string' && typeof word === 'string') {
-          if (_SX_DECODE[tok] === undefined) _SX_DECODE[tok] = word.toLowerCase();
+          if (_tokWord(st, tok) === null) st.dec[tok] = word.toLowerCase();
         }
       });
-      _customWords += added;
+      st.count = Object.keys(st.enc).length;
+      st.fp    = null;
+      _clearSplits(st);
     } catch (e) { /* merge error — continue */ }
   }
 
+  /* Back to built-in only — the built-in maps were never touched */
+  function _resetCustom(st) {
+    st.enc    = {};
+    st.dec    = {};
+    st.words  = [];
+    st.count  = 0;
+    st.loaded = false;
+    st.fp     = null;
+    st.heads  = Object.create(null);
+    st.phraseMax = _SX_PHRASE_MAX;
+    _clearSplits(st);
+  }
+
+  /* Custom words can be stem roots, so cached splits go stale */
+  function _clearSplits(st) {
+    st.splits     = Object.create(null);
+    st.splitCount = 0;
+  }
+
   /* ─────────────────────────────────────────────────────────
    *  PUBLIC: loadCustomDict(dict)
    *  For browser or manual loading.
    *  dict = parsed JSON object with encode/decode maps
    * ───────────────────────────────────────────────────────── */
-  function loadCustomDict(dict) {
+  function _loadCustomDict(st, dict) {
     try {
       if (!dict || typeof dict !== 'object') return false;
-      _mergeCustomDict(dict);
-      _customDictLoaded = true;
+      _mergeCustomDict(st, dict);
+      st.loaded = true;
       return true;
     } catch (e) { return false; }
   }
 
   /* ─────────────────────────────────────────────────────────
-   *  CORE: encode(text)
+   *  PUBLIC: unloadCustomDict() / replaceCustomDict(dict)
+   *  unload  → drop every custom word; encoding is exactly the
+   *            built-in dictionary again
+   *  replace → unload, then load dict, in one call (hot reload).
+   *            An invalid dict returns false and keeps the
+   *            current words.
+   * ───────────────────────────────────────────────────────── */
+  function _unloadCustomDict(st) {
+    try {
+      var had = st.loaded;
+      _resetCustom(st);
+      return had;
+    } catch (e) { return false; }
+  }
+
+  function _replaceCustomDict(st, dict) {
+    try {
+      if (!dict || typeof dict !== 'object') return false;
+      _resetCustom(st);
+      return _loadCustomDict(st, dict);
+    } catch (e) { return false; }
+  }
+
+  /* ─────────────────────────────────────────────────────────
+   *  DICTIONARY FINGERPRINT
+   *  A 32-bit FNV-1a hash over the built-in word list and the
+   *  codec's custom encode/decode maps, written as 6 base-62
+   *  chars. Two codecs with the same fingerprint turn the same
+   *  tokens into the same words.
+   *
+   *  With { envelope: true } the fingerprint travels with the
+   *  payload:
+   *    encode()           "~.." + 6 chars, then the tokens
+   *    packToBase64url()  header [0][11111111111][4-bit version]
+   *                       [4-bit flags][32-bit fingerprint]
+   *  decode() / unpackFromBase64url() compare it with their own.
+   *  On a mismatch they call options.onMismatch(info) and return
+   *  the input unchanged instead of guessing at words.
+   * ───────────────────────────────────────────────────────── */
+  var ENVELOPE_RE = /^~\.\.([0-9a-zA-Z]{6})/;
+
+  function _fnv1a(str, h) {
+    for (var i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  var _builtinHash = _fnv1a(_SX_WORDS.join(','), 0x811C9DC5);
+
+  function _fingerprintNum(st) {
+    if (st.fp === null) {
+      var enc = Object.keys(st.enc).sort().map(function (w) { return w + '=' + st.enc[w]; });
+      var dec = Object.keys(st.dec).sort().map(function (t) { return t + '=' + st.dec[t]; });
+      st.fp = _fnv1a(enc.join(',') + '|' + dec.join(','), _builtinHash);
+    }
+    return st.fp;
+  }
+
+  function _fpToStr(num) {
+    var out = '';
+    for (var i = 0; i < 6; i++) { out = B62[num % 62] + out; num = Math.floor(num / 62); }
+    return out;
+  }
+
+  function _fingerprint(st) {
+    try { return _fpToStr(_fingerprintNum(st)); }
+    catch (e) { return null; }
+  }
+
+  /* true when the payload's fingerprint matches (or it has none) */
+  function _checkFingerprint(st, found, options) {
+    var actual = _fingerprint(st);
+    if (found === actual) return true;
+    var cb = _safeOpts(options).onMismatch;
+    if (typeof cb === 'function') {
+      try { cb({ expected: found, actual: actual }); } catch (e) { /* caller error — ignore */ }
+    }
+    return false;
+  }
+
+  /* ─────────────────────────────────────────────────────────
+   *  CORE: encode(text, options)
    *  Input:  any value (auto-coerced to string)
    *  Output: string with ~XX / ~XXX tokens, or original if
    *          a word is not in the dictionary/stems
+   *  Phrases are matched first, longest first (see PHRASES).
+   *
+   *  Options:
+   *    preserveCase  false (default) → lowercase output
+   *                  true → Title-case and ALL-CAPS words get a
+   *                  case marker (~-XX / ~_XX), mixed case is
+   *                  left as-is, so decode() restores the text
+   *    strict        true → preserveCase, plus every token is
+   *                  checked against decode() and dropped if it
+   *                  would not give back the exact word, so
+   *                  decode(encode(s)) === s for ANY string
+   *    envelope      true → prefix "~.." + dictionary fingerprint
+   *
+   *  Literal ~ that looks like a token is always escaped as ~~.
    *
    *  Behaviour by input type:
    *    string        → compressed where possible
@@ -1061,68 +1684,147 @@ var _SX_DECODE = {
    *    numbers in    → passed through unchanged (e.g. "work2023")
    *    mixed case    → case-insensitive lookup, lowercase output
    * ───────────────────────────────────────────────────────── */
-  function encode(input) {
+  function _encodeWord(st, match, opts) {
+    var kind  = opts.preserveCase ? _caseOf(match) : CASE_LOWER;
+    if (kind === CASE_MIXED) return match;
+    var lower = match.toLowerCase();
+    var tok   = _wordTok(st, lower);
+    if (tok === null) tok = _stemEncode(st, lower);
+    if (tok === null) tok = _prefixEncode(st, lower);
+    if (tok === null) return match;
+    if (opts.strict && _decodeTok(st, tok) !== lower) return match;
+    return _markCase(tok, kind);
+  }
+
+  /* Longest phrase at words[i] as { tok, kind, n } (n words), or
+     null. Only phrase-zone and custom-zone tokens that decode to
+     the same phrase count, so pack() can always write them. */
+  function _matchPhrase(st, words, i, preserveCase) {
+    var max = _phraseHead(st, words[i].toLowerCase());
+    for (var n = Math.min(max, words.length - i); n >= 2; n--) {
+      var text = words.slice(i, i + n).join(' ');
+      var kind = preserveCase ? _caseOf(text) : CASE_LOWER;
+      if (kind === CASE_MIXED) continue;
+      var lower = text.toLowerCase();
+      var tok   = _wordTok(st, lower);
+      var ti    = _tokIndex(tok);
+      if (ti >= CUSTOM_FIRST ? ti > CUSTOM_LAST || _tokWord(st, tok) !== lower
+                             : _SX_PHRASE_DEC[tok] !== lower) continue;
+      return { tok: tok, kind: kind, n: n };
+    }
+    return null;
+  }
+
+  /* Words joined by single spaces: phrases first, then word by word */
+  function _encodeRun(st, run, opts) {
+    var words = run.split(' ');
+    var out   = [];
+    for (var i = 0; i < words.length; ) {
+      var hit = null;
+      try { hit = _matchPhrase(st, words, i, opts.preserveCase); } catch (e) { /* no phrase */ }
+      if (hit) { out.push(_markCase(hit.tok, hit.kind)); i += hit.n; continue; }
+      try { out.push(_encodeWord(st, words[i], opts)); }
+      catch (e) { out.push(words[i]); }
+      i++;
+    }
+    return out.join(' ');
+  }
+
+  function _encode(st, input, options) {
     try {
       var text = _safeStr(input);
       if (!text) return '';
-      return text.replace(/[a-zA-Z]+/g, function (match) {
-        try {
-          var lower = match.toLowerCase();
-          var tok   = _SX_ENCODE[lower];
-          if (tok !== undefined) return tok;
-          var stok  = _stemEncode(lower);
-          if (stok !== null) return stok;
-          return match;
-        } catch (e) { return match; }
+      var opts = _encodeOpts(_opts(st, options));
+      var out  = text.replace(ENCODE_RE, function (match) {
+        if (match === '~') return ESCAPE_TOK;
+        if (match.indexOf(' ') >= 0) return _encodeRun(st, match, opts);
+        try { return _encodeWord(st, match, opts); }
+        catch (e) { return match; }
       });
+      return opts.envelope ? '~..' + _fingerprint(st) + out : out;
     } catch (e) { return _safeStr(input); }
   }
 
   /* ─────────────────────────────────────────────────────────
-   *  CORE: decode(text)
-   *  Expands all ~XX and ~XXX tokens back to words.
+   *  CORE: decode(text, options)
+   *  Expands all ~XX and ~XXX tokens back to words, restoring
+   *  case from ~-XX (Title) and ~_XX (ALL-CAPS) markers and
+   *  turning ~~ back into a literal ~.
+   *  A "~.." fingerprint envelope is checked and stripped; on
+   *  a mismatch options.onMismatch is called and the input is
+   *  returned unchanged.
    *  Unknown tokens (not in dict) pass through unchanged.
    *  NEVER crashes.
    * ───────────────────────────────────────────────────────── */
-  function decode(input) {
+  function _decodeTok(st, tok) {
+    if (tok[1] === '.') return _decodeExt(st, tok);
+    if (tok.length === 3) return _tokWord(st, tok);
+    if (tok.length === 4) {
+      var word = _decodeSufTok(tok);
+      return word !== tok ? word : null;
+    }
+    return null;
+  }
+
+  function _decode(st, input, options) {
     try {
       var text = _safeStr(input);
       if (!text) return '';
-      return text.replace(/~[0-9a-zA-Z]{2,3}/g, function (tok) {
-        try {
-          if (tok.length === 3) {
-            return _SX_DECODE[tok] !== undefined ? _SX_DECODE[tok] : tok;
-          }
-          if (tok.length === 4) {
-            var fc = tok.charCodeAt(1);
-            if (fc >= 65 && fc <= 90) return _decodeSufTok(tok);
-          }
-          return tok;
-        } catch (e) { return tok; }
-      });
+      var env  = ENVELOPE_RE.exec(text);
+      if (env) {
+        if (!_checkFingerprint(st, env[1], _opts(st, options))) return text;
+        text = text.slice(env[0].length);
+      }
+      return _decodeBody(st, text);
     } catch (e) { return _safeStr(input); }
   }
 
+  /* Token expansion without the envelope check */
+  function _decodeBody(st, text) {
+    return text.replace(TOKEN_RE, function (tok, mark, body) {
+      if (tok === ESCAPE_TOK) return '~';
+      try {
+        var word = _decodeTok(st, '~' + body);
+        if (word === null) return tok;
+        return _applyCase(word, mark === '-' ? CASE_TITLE : mark === '_' ? CASE_UPPER : CASE_LOWER);
+      } catch (e) { return tok; }
+    });
+  }
+
   /* ─────────────────────────────────────────────────────────
    *  encodeToURL(text) / decodeFromURL(text)
    *  URL-safe versions: spaces become +
    *  Tilde (~) is RFC 3986 unreserved — zero %-encoding needed
+   *  In strict mode a literal + or % is written as %2B / %25
+   *  so it survives the trip back.
    * ───────────────────────────────────────────────────────── */
-  function encodeToURL(input) {
-    try { return encode(input).replace(/ /g, '+'); }
+  var URL_UNESCAPE = { '+': ' ', '%20': ' ', '%2B': '+', '%25': '%' };
+
+  function _encodeToURL(st, input, options) {
+    try {
+      var out = _encode(st, input, options);
+      if (_encodeOpts(_opts(st, options)).strict) {
+        out = out.replace(/%/g, '%25').replace(/\+/g, '%2B');
+      }
+      return out.replace(/ /g, '+');
+    }
     catch (e) { return _safeStr(input); }
   }
 
-  function decodeFromURL(input) {
+  function _decodeFromURL(st, input, options) {
     try {
-      var text = _safeStr(input).replace(/\+/g, ' ').replace(/%20/g, ' ');
-      return decode(text);
+      var text = _safeStr(input).replace(/\+|%20|%2B|%25/gi, function (m) {
+        return URL_UNESCAPE[m.toUpperCase()];
+      });
+      return _decode(st, text, options);
     } catch (e) { return _safeStr(input); }
   }
 
   /* ─────────────────────────────────────────────────────────
    *  BINARY PACK  (Layer 3)
-   *  Bit-level encoding → base64url output
+   *  Bit-level encoding → pack() bytes (Uint8Array, the last
+   *  byte padded with 0 bits), or the same bits as base64url
+   *  from packToBase64url(), 6 to a char
    *
    *  Bit format:
    *    [0][11-bit word index]          = 12 bits (dict word)
@@ -1130,142 +1832,1261 @@ var _SX_DECODE = {
    *    [1][1][0]                       =  3 bits (space)
    *    [1][1][1][7-bit ASCII]          = 10 bits (raw char)
    *    [0][11111111111]                = 12 bits (END sentinel)
+   *
+   *  Indices 1468-1487 are built-in phrases (~nG-~nZ), and a
+   *  custom phrase is written like a custom word, so a phrase
+   *  costs the same 12 or 22 bits as one word.
+   *
+   *  Indices 1984-2039 are punctuation / whitespace runs from
+   *  _SX_RUNS (". ", "\r\n", "\n    ", "://" …), 12 bits each.
+   *  A run of 1-15 digits not starting with 0 can be written
+   *  as an integer:
+   *    [0][11111111001][varint]        = 20+ bits (digit run)
+   *  varint = 7-bit groups, most significant first, each after
+   *  a 1 bit if another group follows and a 0 on the last, so
+   *  "2024" costs 28 bits instead of 40. Each of these is only
+   *  used where it is fewer bits than the chars it replaces.
+   *
+   *  Word indices from 2040 up are reserved for opcodes:
+   *    [0][11111111110]                = 12 bits (next word Title-case)
+   *    [0][11111111101]                = 12 bits (next word ALL-CAPS)
+   *    [0][11111111100][21-bit cp]     = 33 bits (Unicode code point)
+   *    [0][11111111011][10-bit zone]   = 22 bits (custom word ~[o-z]XX)
+   *    [0][11111111010][5-bit prefix][12-bit root][2-bit n][5-bit sfx × n]
+   *                                    = 31+ bits (extended ~.XXX token)
+   *  The 4-bit stem field holds suffix codes a-p; stems using
+   *  q-z are written as extended tokens.
+   *
+   *  Optional header (v1 never starts with END, so no clash):
+   *    [0][11111111111][4-bit version][4-bit flags]
+   *    flags & 1 → [32-bit dictionary fingerprint] follows
+   *    flags & 2 → a checksum follows END:
+   *                [0 bits to the next byte][32-bit CRC-32]
+   *                over every byte before it, header included
+   *  Version 2 (Huffman codes, see BINARY PACK v2) always
+   *  writes it; unpack reads either version.
+   *  { checksum: true } sets flag 2; without { strict: true }
+   *  a payload failing it is refused like a dictionary
+   *  mismatch (see STRICT UNPACK).
+   *
+   *  Non-ASCII text is written one code point at a time, so
+   *  accented Latin, CJK, Cyrillic and astral emoji survive
+   *  pack/unpack exactly. A lone surrogate is written as its
+   *  own 16-bit value and comes back unchanged.
+   *
+   *  Custom words are keyed on their token's place in the
+   *  ~[o-z] zone (0 = ~o0, 743 = ~zZ), never on load order, so
+   *  any process with the same custom dictionary unpacks them.
+   *  Without it the raw token is written out, as decode() does.
+   * ───────────────────────────────────────────────────────── */
+  var OP_END     = 2047;
+  var OP_TITLE   = 2046;
+  var OP_UPPER   = 2045;
+  var OP_UNICODE = 2044;
+  var OP_CUSTOM  = 2043;
+  var OP_EXT     = 2042;
+  var OP_INT     = 2041;
+  var OP_FIRST   = 2040;
+
+  var RUN_FIRST      = 1984;
+  var INT_MAX_DIGITS = 15;    /* below 2^53, so a Number holds it */
+  var PACK_LOOKAHEAD = 16;    /* chars one symbol choice looks at */
+
+  /* _SX_RUNS by first char, longest first */
+  var _SX_RUN_HEAD = {};
+  _SX_RUNS.forEach(function (run, ri) {
+    var head = run[0];
+    if (!_has(_SX_RUN_HEAD, head)) _SX_RUN_HEAD[head] = [];
+    _SX_RUN_HEAD[head].push(ri);
+  });
+  Object.keys(_SX_RUN_HEAD).forEach(function (head) {
+    _SX_RUN_HEAD[head].sort(function (a, b) { return _SX_RUNS[b].length - _SX_RUNS[a].length || a - b; });
+  });
+
+  var PACK_VERSION = 1;
+  var FLAG_FP      = 1;
+  var FLAG_CRC     = 2;
+
+  /* CRC-32 (IEEE, as zlib and PNG use), one byte at a time */
+  var CRC_TABLE = [];
+  for (_i = 0; _i < 256; _i++) {
+    var _c = _i;
+    for (var _k = 0; _k < 8; _k++) _c = _c & 1 ? 0xEDB88320 ^ (_c >>> 1) : _c >>> 1;
+    CRC_TABLE.push(_c >>> 0);
+  }
+
+  function _crcByte(crc, b) {
+    return CRC_TABLE[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  }
+
+  /* Code point at i, pairing surrogates; lone surrogates stand alone */
+  function _codePointAt(str, i) {
+    var hi = str.charCodeAt(i);
+    if (hi >= 0xD800 && hi <= 0xDBFF && i + 1 < str.length) {
+      var lo = str.charCodeAt(i + 1);
+      if (lo >= 0xDC00 && lo <= 0xDFFF) return (hi - 0xD800) * 0x400 + (lo - 0xDC00) + 0x10000;
+    }
+    return hi;
+  }
+
+  function _fromCodePoint(cp) {
+    if (cp < 0x10000) return String.fromCharCode(cp);
+    cp -= 0x10000;
+    return String.fromCharCode(0xD800 + (cp >> 10), 0xDC00 + (cp & 0x3FF));
+  }
+
+  /* Bit writer — appends codes MSB-first into a growing byte
+     buffer. bytes() gives the packed bytes; take() hands out
+     whole base64url chars (3 bytes → 4 chars at a time) and
+     keeps the rest for later */
+  function _bitWriter() {
+    var buf  = new Uint8Array(256);
+    var len  = 0;     /* whole bytes in buf */
+    var acc  = 0;     /* bits of the byte being filled */
+    var nacc = 0;
+    var crc  = -1;    /* CRC-32 of every whole byte so far */
+    function put(b) {
+      if (len === buf.length) {
+        var grown = new Uint8Array(buf.length * 2);
+        grown.set(buf);
+        buf = grown;
+      }
+      buf[len++] = b;
+      crc = _crcByte(crc, b);
+    }
+    function bytes() {
+      var out = new Uint8Array(len + (nacc ? 1 : 0));
+      out.set(buf.subarray(0, len));
+      if (nacc) out[len] = acc << (8 - nacc);
+      return out;
+    }
+    return {
+      push: function (val, count) {
+        while (count > 0) {
+          var n = Math.min(count, 8 - nacc);
+          count -= n;
+          acc = (acc << n) | (Math.floor(val / Math.pow(2, count)) & ((1 << n) - 1));
+          nacc += n;
+          if (nacc === 8) { put(acc); acc = 0; nacc = 0; }
+        }
+      },
+      bits:  function () { return len * 8 + nacc; },
+      bytes: bytes,
+      align: function () { if (nacc) this.push(0, 8 - nacc); },
+      crc:   function () { return (crc ^ -1) >>> 0; },
+      take: function (end) {
+        var out;
+        if (end) {
+          out = _toBase64url(bytes(), len * 8 + nacc);
+          len = acc = nacc = 0;
+          return out;
+        }
+        var whole = len - len % 3;
+        out = _toBase64url(buf.subarray(0, whole), whole * 8);
+        buf.copyWithin(0, whole, len);
+        len -= whole;
+        return out;
+      }
+    };
+  }
+
+  /* Bytes → base64url without padding, cut to the chars that
+     hold the first `bits` bits */
+  function _toBase64url(bytes, bits) {
+    var out = '';
+    for (var i = 0; i < bytes.length; i += 3) {
+      var v = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+      out += BASE64URL[v >> 18] + BASE64URL[(v >> 12) & 63] + BASE64URL[(v >> 6) & 63] + BASE64URL[v & 63];
+    }
+    return out.slice(0, Math.ceil(bits / 6));
+  }
+
+  /* Bit reader — bytes or base64url chars in, codes out. Chars
+     outside the alphabet (newlines, spaces) are skipped. Bytes
+     already read are dropped on the next feed. `strict` throws
+     on other chars and on reads past the end, which otherwise
+     give 0 bits. */
+  function _bitReader(strict) {
+    var buf = new Uint8Array(0);
+    var end = 0;    /* bits held */
+    var pos = 0;    /* bits read */
+    var crc = -1;   /* CRC-32 of every byte read through */
+    function room(bits) {
+      var skip = Math.floor(pos / 8);
+      var used = Math.ceil(end / 8);
+      if (skip) {
+        buf.copyWithin(0, skip, used);
+        buf.fill(0, used - skip, used);
+        pos -= skip * 8;
+        end -= skip * 8;
+      }
+      var need = Math.ceil((end + bits) / 8);
+      if (need > buf.length) {
+        var grown = new Uint8Array(Math.max(need, buf.length * 2));
+        grown.set(buf.subarray(0, used - skip));
+        buf = grown;
+      }
+    }
+    function put(val, count) {
+      while (count > 0) {
+        var off = end & 7;
+        var n   = Math.min(count, 8 - off);
+        count -= n;
+        buf[Math.floor(end / 8)] |= ((val >> count) & ((1 << n) - 1)) << (8 - off - n);
+        end += n;
+      }
+    }
+    function read(count) {
+      if (strict && pos + count > end) throw new SymblexError('TRUNCATED', 'payload ends part way through a code');
+      var v = 0;
+      while (count > 0) {
+        var off = pos & 7;
+        var n   = Math.min(count, 8 - off);
+        var b   = buf[Math.floor(pos / 8)] || 0;
+        v = v * (1 << n) + ((b >> (8 - off - n)) & ((1 << n) - 1));
+        if (off + n === 8) crc = _crcByte(crc, b);
+        pos   += n;
+        count -= n;
+      }
+      return v;
+    }
+    return {
+      feed: function (b64) {
+        room(b64.length * 6);
+        for (var ci = 0; ci < b64.length; ci++) {
+          var val = B64IDX[b64[ci]];
+          if (val !== undefined) put(val, 6);
+          else if (strict && !/\s/.test(b64[ci])) throw new SymblexError('INVALID_INPUT', 'not a base64url char: ' + JSON.stringify(b64[ci]));
+        }
+      },
+      /* `bits` (default all) drops the padding of the last byte */
+      feedBytes: function (bytes, bits) {
+        if (bits === undefined) bits = bytes.length * 8;
+        room(bits);
+        if (end % 8 === 0) {
+          buf.set(bytes.subarray(0, Math.ceil(bits / 8)), end / 8);
+          end += bits;
+          if (end & 7) buf[Math.floor(end / 8)] &= 0xFF << (8 - (end & 7));
+          return;
+        }
+        for (var bi = 0; bits > 0; bi++, bits -= 8) put(bytes[bi] >> Math.max(0, 8 - bits), Math.min(8, bits));
+      },
+      left:  function () { return end - pos; },
+      read:  read,
+      peek:  function (count) { var at = pos, was = crc, v = read(count); pos = at; crc = was; return v; },
+      align: function () { if (pos & 7) read(8 - (pos & 7)); },
+      crc:   function () { return (crc ^ -1) >>> 0; }
+    };
+  }
+
+  /* base64url → { bytes, bits }; other chars are skipped, or
+     with `strict` anything but whitespace throws */
+  function _fromBase64url(b64, strict) {
+    var bytes = new Uint8Array(Math.ceil(b64.length * 6 / 8));
+    var bits  = 0;
+    for (var ci = 0; ci < b64.length; ci++) {
+      var val = B64IDX[b64[ci]];
+      if (val === undefined) {
+        if (strict && !/\s/.test(b64[ci])) throw new SymblexError('INVALID_INPUT', 'not a base64url char: ' + JSON.stringify(b64[ci]));
+        continue;
+      }
+      var at  = Math.floor(bits / 8);
+      var off = bits & 7;
+      if (off <= 2) bytes[at] |= val << (2 - off);
+      else {
+        bytes[at]     |= val >> (off - 2);
+        bytes[at + 1] |= (val << (10 - off)) & 0xFF;
+      }
+      bits += 6;
+    }
+    return { bytes: bytes, bits: bits };
+  }
+
+  /* Uint8Array, ArrayBuffer, any typed array / DataView or a
+     plain array of byte values → Uint8Array; null otherwise */
+  function _asBytes(input) {
+    if (typeof Uint8Array === 'undefined') return null;
+    if (input instanceof Uint8Array) return input;
+    if (typeof ArrayBuffer !== 'undefined') {
+      if (input instanceof ArrayBuffer) return new Uint8Array(input);
+      if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    }
+    if (Array.isArray(input)) return new Uint8Array(input);
+    return null;
+  }
+
+  function _packHeader(st, w, version, fp, crc) {
+    w.push(0, 1);
+    w.push(OP_END, 11);
+    w.push(version, 4);
+    w.push((fp ? FLAG_FP : 0) | (crc ? FLAG_CRC : 0), 4);
+    if (fp) w.push(_fingerprintNum(st), 32);
+  }
+
+  /* END, then the checksum if the header asked for one */
+  function _packEnd(c, w, crc) {
+    c.end();
+    if (!crc) return;
+    w.align();
+    w.push(w.crc(), 32);
+  }
+
+  /* Symbol writers — _packText picks what to write, the coder
+     decides how many bits it costs (fixed in v1, Huffman in v2) */
+  function _packCoder(w, version) {
+    if (version === 2) return _v2Coder(w);
+    return {
+      kind: function (kind) {
+        if (kind === CASE_LOWER) return;
+        w.push(0, 1);
+        w.push(kind === CASE_TITLE ? OP_TITLE : OP_UPPER, 11);
+      },
+      word: function (idx) {
+        w.push(0, 1);
+        w.push(idx, 11);
+      },
+      custom: function (zone) {
+        w.push(0, 1);
+        w.push(OP_CUSTOM, 11);
+        w.push(zone, 10);
+      },
+      stem: function (root, code) {
+        var sfxIdx = SUFFIX_CODES.indexOf(code);
+        if (sfxIdx > 15) return this.ext('~.' + _idxTok(root).slice(1) + code);
+        w.push(2, 2);
+        w.push(root, 11);
+        w.push(sfxIdx < 0 ? 0 : sfxIdx, 4);
+      },
+      ext: function (tok) {
+        w.push(0, 1);
+        w.push(OP_EXT, 11);
+        _packExt(w, tok);
+      },
+      char: function (code) {
+        if (code === 32) { w.push(6, 3); return; }
+        w.push(7, 3);
+        w.push(code, 7);
+      },
+      run: function (ri) {
+        w.push(0, 1);
+        w.push(RUN_FIRST + ri, 11);
+      },
+      int: function (val) {
+        w.push(0, 1);
+        w.push(OP_INT, 11);
+        _packVarint(w, val);
+      },
+      charBits: function (code) { return code === 32 ? 3 : 10; },
+      runBits:  function () { return 12; },
+      intBits:  function (val) { return 12 + 8 * _varintGroups(val); },
+      unicode: function (cp) {
+        w.push(0, 1);
+        w.push(OP_UNICODE, 11);
+        w.push(cp, 21);
+      },
+      end: function () {
+        w.push(0, 1);
+        w.push(OP_END, 11);
+      }
+    };
+  }
+
+  function _packText(st, c, text, preserveCase) {
+    var parts = text.split(/([a-zA-Z]+)/);
+    for (var pi = 0; pi < parts.length; pi++) {
+      var part = parts[pi];
+      if (!part) continue;
+      if (/^[a-zA-Z]+$/.test(part)) {
+        var phrase = _packPhrase(st, c, parts, pi, preserveCase);
+        if (phrase) { pi += 2 * (phrase - 1); continue; }
+        _packWord(st, c, part, preserveCase);
+      } else {
+        for (var ci = 0; ci < part.length; ) ci += _packSymbol(c, part, ci, true);
+      }
+    }
+  }
+
+  /* Non-letter text at text[i]: an integer, a run from _SX_RUNS
+     or one char, whichever the coder writes in fewer bits.
+     Returns the chars taken; writes them only if `write` is set.
+     The choice looks at no more than PACK_LOOKAHEAD chars. */
+  function _packSymbol(c, text, i, write) {
+    var code = _codePointAt(text, i);
+    if (code >= 49 && code <= 57) {
+      var j = i + 1;
+      while (j < text.length && j - i < INT_MAX_DIGITS && _isDigit(text.charCodeAt(j))) j++;
+      var digits = text.slice(i, j);
+      if (j - i > 1 && c.intBits(+digits) < _textBits(c, digits)) {
+        if (write) c.int(+digits);
+        return j - i;
+      }
+    }
+    var runs = _has(_SX_RUN_HEAD, text[i]) ? _SX_RUN_HEAD[text[i]] : [];
+    for (var k = 0; k < runs.length; k++) {
+      var run = _SX_RUNS[runs[k]];
+      if (text.substr(i, run.length) === run && c.runBits(runs[k]) < _textBits(c, run)) {
+        if (write) c.run(runs[k]);
+        return run.length;
+      }
+    }
+    if (write) {
+      if (code < 128) c.char(code);
+      else c.unicode(code);
+    }
+    return code > 0xFFFF ? 2 : 1;
+  }
+
+  function _isDigit(c) {
+    return c >= 48 && c <= 57;
+  }
+
+  function _textBits(c, text) {
+    var bits = 0;
+    for (var i = 0; i < text.length; i++) bits += c.charBits(text.charCodeAt(i));
+    return bits;
+  }
+
+  function _varintGroups(val) {
+    var groups = 1;
+    while (val >= Math.pow(2, 7 * groups)) groups++;
+    return groups;
+  }
+
+  function _packVarint(w, val) {
+    for (var g = _varintGroups(val) - 1; g >= 0; g--) {
+      w.push(g > 0 ? 1 : 0, 1);
+      w.push(Math.floor(val / Math.pow(2, 7 * g)) % 128, 7);
+    }
+  }
+
+  /* Digits back from a varint; stops at INT_MAX_DIGITS worth of
+     groups so a corrupt payload can't run on */
+  function _readVarint(r) {
+    var val = 0;
+    for (var g = 0; g < 8 && r.left() >= 8; g++) {
+      var more = r.read(1);
+      val = val * 128 + r.read(7);
+      if (!more) break;
+    }
+    return String(val);
+  }
+
+  /* One word: dictionary, custom, stem or extended code — or
+     raw letters when it has none (or is MiXeD case) */
+  function _packWord(st, c, word, preserveCase) {
+    var kind  = preserveCase ? _caseOf(word) : CASE_LOWER;
+    var lower = word.toLowerCase();
+    if (kind === CASE_MIXED) return _packRaw(c, word);
+    var tok = _wordTok(st, lower);
+    var ti  = _tokIndex(tok);
+    if (ti >= 0 && ti < _SX_BUILTIN && _SX_WORDS[ti] === lower) {
+      c.kind(kind);
+      c.word(ti);
+      return;
+    }
+    if (ti >= CUSTOM_FIRST && ti <= CUSTOM_LAST && _tokWord(st, tok) === lower) {
+      c.kind(kind);
+      c.custom(ti - CUSTOM_FIRST);
+      return;
+    }
+    tok = _stemEncode(st, lower);
+    if (tok === null) tok = _prefixEncode(st, lower);
+    if (tok === null) return _packRaw(c, word);
+    c.kind(kind);
+    if (tok[1] === '.') c.ext(tok);
+    else c.stem((tok.charCodeAt(1) - 65) * 62 + (B62IDX[tok[2]] || 0), tok[3]);
+  }
+
+  /* Phrase starting at parts[pi] (split() output, words at odd
+     places): writes it and returns its word count, or 0 */
+  function _packPhrase(st, c, parts, pi, preserveCase) {
+    var max = _phraseHead(st, parts[pi].toLowerCase());
+    if (max < 2) return 0;
+    var words = [parts[pi]];
+    for (var ri = pi + 1; words.length < max && parts[ri] === ' ' && parts[ri + 1]; ri += 2) words.push(parts[ri + 1]);
+    var hit = _matchPhrase(st, words, 0, preserveCase);
+    if (!hit) return 0;
+    var ti = _tokIndex(hit.tok);
+    c.kind(hit.kind);
+    if (ti < CUSTOM_FIRST) c.word(ti);
+    else c.custom(ti - CUSTOM_FIRST);
+    return hit.n;
+  }
+
+  /* Letters written one by one as raw chars */
+  function _packRaw(c, letters) {
+    for (var ci = 0; ci < letters.length; ci++) c.char(letters.charCodeAt(ci) & 0x7F);
+  }
+
+  /* Body of an extended token after its opcode. Prefix and
+     suffix letters are written as A/a = 1 … Z/z = 26, 0 = none */
+  function _packExt(w, tok) {
+    var m   = EXT_RE.exec(tok);
+    var sfx = m[3];
+    w.push(m[1] ? m[1].charCodeAt(0) - 64 : 0, 5);
+    w.push(_tokIndex('~' + m[2]), 12);
+    w.push(sfx.length, 2);
+    for (var si = 0; si < sfx.length; si++) w.push(sfx.charCodeAt(si) - 96, 5);
+  }
+
+  function _readExt(r) {
+    var pre = r.read(5);
+    var tok = '~.' + (pre ? String.fromCharCode(64 + pre) : '') + _idxTok(r.read(12)).slice(1);
+    for (var n = r.read(2); n > 0; n--) tok += String.fromCharCode(96 + r.read(5));
+    return tok;
+  }
+
+  /* ─────────────────────────────────────────────────────────
+   *  BINARY PACK v2  (canonical Huffman)
+   *  With { packVersion: 2 } the same words, stems and chars
+   *  are written with variable-length codes, short for what is
+   *  common in English text and long for what is rare:
+   *    space, e, t, a …      3-5 bits    (v1:  3 / 10)
+   *    "that", "people" …    7-12 bits   (v1: 12)
+   *    other built-in words  13 bits     (v1: 12)
+   *    stem                  7-12 bits + the root's code
+   *  which takes prose about a quarter below v1.
+   *
+   *  Symbols:
+   *    0-1487     built-in word / phrase (same index as v1)
+   *    1488-1615  ASCII char
+   *    1616-1641  stem with suffix code a-z, then the root's
+   *               word code (root is a built-in word)
+   *    1642 END   1643 TITLE   1644 UPPER
+   *    1645 UNICODE [21-bit cp]    1646 CUSTOM [10-bit zone]
+   *    1647 EXT [5-bit prefix][12-bit root][2-bit n][5-bit sfx × n]
+   *    1648 INT [varint]       1649-1704  run from _SX_RUNS
+   *
+   *  The header is always written, version 2:
+   *    [0][11111111111][0010][4-bit flags]
+   *  so unpackFromBase64url() tells the formats apart.
+   *
+   *  Code lengths come from the fixed weights in _v2Weights()
+   *  (_SX_COMMON ranks for words, letter frequencies for chars),
+   *  turned into canonical codes — ties always break towards the
+   *  lower symbol, so every build rebuilds the same table.
+   *  Custom words keep a flat 10-bit zone after CUSTOM, so a
+   *  custom dictionary never changes the table.
    * ───────────────────────────────────────────────────────── */
-  function packToBase64url(input) {
+  var V2_CHAR    = PHRASE_FIRST + 20;
+  var V2_STEM    = V2_CHAR + 128;
+  var V2_END     = V2_STEM + 26;
+  var V2_TITLE   = V2_END + 1;
+  var V2_UPPER   = V2_END + 2;
+  var V2_UNICODE = V2_END + 3;
+  var V2_CUSTOM  = V2_END + 4;
+  var V2_EXT     = V2_END + 5;
+  var V2_INT     = V2_END + 6;
+  var V2_RUN     = V2_END + 7;
+  var V2_SYMBOLS = V2_RUN + _SX_RUNS.length;
+
+  var V2_LETTERS = 'etaoinshrdlcumwfgypbvkjxqz';
+  var V2_LETTER_W = [127, 91, 82, 75, 70, 67, 63, 61, 60, 43, 40, 28, 28,
+                     24, 24, 22, 20, 20, 19, 15, 10, 8, 2, 2, 1, 1];
+  var V2_PUNCT_W = { '.': 900, ',': 900, '\n': 600, '-': 200, "'": 150, '"': 150,
+                     ':': 100, '(': 80, ')': 80, '/': 60, '?': 60, ';': 50,
+                     '!': 40, '\t': 40, '\r': 40 };
+  /* How often each suffix code turns up on a stem, a-z */
+  var V2_STEM_W = [900, 150, 350, 250, 350, 150, 100, 60, 60, 250, 60, 60, 40,
+                   20, 100, 40, 40, 10, 60, 30, 10, 20, 10, 80, 60, 20];
+
+  function _v2Weights() {
+    var wt = [], i;
+    for (i = 0; i < _SX_BUILTIN; i++) wt.push(8);
+    for (i = 0; i < _SX_COMMON.length; i++) wt[_tokIndex(_SX_ENCODE[_SX_COMMON[i]])] = Math.round(2400 / (i + 4));
+    for (i = 0; i < _SX_PHRASES.length; i++) wt.push(20);
+    for (i = 0; i < 128; i++) {
+      var ch = String.fromCharCode(i);
+      var li = V2_LETTERS.indexOf(ch.toLowerCase());
+      if (i === 32)               wt.push(14000);
+      else if (li >= 0)           wt.push(V2_LETTER_W[li] * (ch === ch.toLowerCase() ? 30 : 2));
+      else if (_has(V2_PUNCT_W, ch)) wt.push(V2_PUNCT_W[ch]);
+      else if (i >= 48 && i <= 57) wt.push(150);
+      else                        wt.push(i > 32 && i < 127 ? 20 : 1);
+    }
+    for (i = 0; i < 26; i++) wt.push(V2_STEM_W[i]);
+    wt.push(30, 1200, 150, 300, 600, 600, 500);  /* END TITLE UPPER UNICODE CUSTOM EXT INT */
+    for (i = 0; i < _SX_RUNS.length; i++) wt.push(Math.round(1200 / (i + 2)));
+    return wt;
+  }
+
+  /* Huffman code lengths by the two-queue method: leaves sorted
+     by (weight, symbol), merged nodes queue up in order made */
+  function _huffLengths(wt) {
+    var n      = wt.length;
+    var leaves = [];
+    var nodeW  = wt.slice();
+    var parent = [];
+    var merged = [];
+    var li = 0, mi = 0, i;
+    for (i = 0; i < n; i++) leaves.push(i);
+    leaves.sort(function (a, b) { return wt[a] - wt[b] || a - b; });
+    function next() {
+      if (li < n && (mi >= merged.length || nodeW[leaves[li]] <= nodeW[merged[mi]])) return leaves[li++];
+      return merged[mi++];
+    }
+    for (var k = n; k < 2 * n - 1; k++) {
+      var a = next(), b = next();
+      nodeW[k]  = nodeW[a] + nodeW[b];
+      parent[a] = parent[b] = k;
+      merged.push(k);
+    }
+    var depth = [];
+    depth[2 * n - 2] = 0;
+    for (i = 2 * n - 3; i >= 0; i--) depth[i] = depth[parent[i]] + 1;
+    return depth.slice(0, n);
+  }
+
+  /* Canonical codes: by (length, symbol), each code one more than
+     the last, shifted left when the length grows */
+  var _v2Table = null;
+  function _v2Huff() {
+    if (_v2Table) return _v2Table;
+    var len    = _huffLengths(_v2Weights());
+    var sorted = [];
+    var count  = [];
+    var code   = [];
+    var max    = 0, i;
+    for (i = 0; i < len.length; i++) { sorted.push(i); if (len[i] > max) max = len[i]; }
+    sorted.sort(function (a, b) { return len[a] - len[b] || a - b; });
+    for (i = 0; i <= max; i++) count.push(0);
+    var next = 0, prev = 0;
+    for (i = 0; i < sorted.length; i++) {
+      var s = sorted[i];
+      next *= Math.pow(2, len[s] - prev);
+      prev = len[s];
+      code[s] = next++;
+      count[len[s]]++;
+    }
+    _v2Table = { len: len, code: code, count: count, sorted: sorted, max: max };
+    return _v2Table;
+  }
+
+  function _v2Coder(w) {
+    var h = _v2Huff();
+    function sym(s) { w.push(h.code[s], h.len[s]); }
+    return {
+      kind:    function (kind) { if (kind !== CASE_LOWER) sym(kind === CASE_TITLE ? V2_TITLE : V2_UPPER); },
+      word:    function (idx) { sym(idx); },
+      custom:  function (zone) { sym(V2_CUSTOM); w.push(zone, 10); },
+      stem:    function (root, code) { sym(V2_STEM + code.charCodeAt(0) - 97); sym(root); },
+      ext:     function (tok) { sym(V2_EXT); _packExt(w, tok); },
+      char:    function (code) { sym(V2_CHAR + code); },
+      run:     function (ri) { sym(V2_RUN + ri); },
+      int:     function (val) { sym(V2_INT); _packVarint(w, val); },
+      unicode: function (cp) { sym(V2_UNICODE); w.push(cp, 21); },
+      end:     function () { sym(V2_END); },
+      charBits: function (code) { return h.len[V2_CHAR + code]; },
+      runBits:  function (ri) { return h.len[V2_RUN + ri]; },
+      intBits:  function (val) { return h.len[V2_INT] + 8 * _varintGroups(val); }
+    };
+  }
+
+  /* One symbol, a bit at a time against the per-length counts;
+     -1 when the bits run out part way */
+  function _v2Read(r, h) {
+    var code = 0, first = 0, index = 0;
+    for (var len = 1; len <= h.max; len++) {
+      if (r.left() < 1) return -1;
+      code += r.read(1);
+      var count = h.count[len];
+      if (code - first < count) return h.sorted[index + code - first];
+      index += count;
+      first  = (first + count) * 2;
+      code  *= 2;
+    }
+    return -1;
+  }
+
+  /* The whole payload in a bit writer */
+  function _packBits(st, text, options) {
+    var opts = _encodeOpts(_opts(st, options));
+    var w    = _bitWriter();
+    var c    = _packCoder(w, opts.packVersion);
+    if (opts.envelope || opts.checksum || opts.packVersion > 1) {
+      _packHeader(st, w, opts.packVersion, opts.envelope, opts.checksum);
+    }
+    _packText(st, c, text, opts.preserveCase);
+    _packEnd(c, w, opts.checksum);
+    return w;
+  }
+
+  /* pack(text) → Uint8Array, the last byte padded with 0 bits */
+  function _pack(st, input, options) {
+    try {
+      var text = _safeStr(input);
+      if (!text) return new Uint8Array(0);
+      return _packBits(st, text, options).bytes();
+    } catch (e) { return new Uint8Array(0); }
+  }
+
+  /* The same bits as base64url, 6 to a char */
+  function _packToBase64url(st, input, options) {
     try {
       var text = _safeStr(input);
       if (!text) return '';
-      var bits = [];
+      var w = _packBits(st, text, options);
+      return _toBase64url(w.bytes(), w.bits());
+    } catch (e) { return _encodeToURL(st, _safeStr(input), options); }
+  }
+
+  /* ─────────────────────────────────────────────────────────
+   *  STRICT UNPACK
+   *  By default unpacking never throws: bad base64url chars
+   *  are skipped, missing bits read as 0 and a short payload
+   *  stops where it runs out, so damage shows up as wrong or
+   *  partial text. With { strict: true } unpack(),
+   *  unpackFromBase64url() and createUnpackStream() instead
+   *  throw (the stream emits 'error') a SymblexError:
+   *    TRUNCATED            the bits end before END, part way
+   *                         through a code, or before the CRC
+   *    BAD_CHECKSUM         the CRC-32 after END doesn't match
+   *    UNKNOWN_OPCODE       a code no packer writes (a reserved
+   *                         index, a stem with no such word)
+   *    DICTIONARY_MISMATCH  the header fingerprint differs, or a
+   *                         custom word is missing here
+   *    UNSUPPORTED_VERSION  a header version or flag this build
+   *                         doesn't know
+   *    INVALID_INPUT        not bytes / base64url, or data after
+   *                         the end of the payload
+   *  `strict` is read from each call's own options, never from
+   *  a codec's defaults (there it means lossless encode).
+   * ───────────────────────────────────────────────────────── */
+  function SymblexError(code, message) {
+    this.name    = 'SymblexError';
+    this.code    = code;
+    this.message = message;
+    if (Error.captureStackTrace) Error.captureStackTrace(this, SymblexError);
+    else this.stack = new Error(message).stack;
+  }
+  SymblexError.prototype = Object.create(Error.prototype);
+  SymblexError.prototype.constructor = SymblexError;
+
+  /* Unpack progress, kept between calls by the unpack stream */
+  function _unpackState(st, options) {
+    var strict = _safeOpts(options).strict === true;
+    return {
+      st:      st,
+      options: options,
+      strict:  strict,
+      r:       _bitReader(strict),
+      version: 1,
+      crc:     false,
+      kind:    CASE_LOWER,
+      head:    true,
+      done:    false,
+      ended:   false,
+      failed:  false,
+      bad:     false
+    };
+  }
+
+  /* Throws in strict mode; otherwise stops where the damage is */
+  function _unpackFail(u, code, message) {
+    if (u.strict) throw new SymblexError(code, message);
+    u.done = true;
+  }
 
-      function pushBits(val, count) {
-        for (var b = count - 1; b >= 0; b--) bits.push((val >> b) & 1);
+  /* END read: checks the CRC if there is one, then (strict)
+     that nothing but padding follows */
+  function _unpackEnd(u) {
+    var r = u.r;
+    u.done = u.ended = true;
+    if (u.crc) {
+      r.align();
+      var want = r.crc();
+      if (r.left() < 32) {
+        if (u.strict) throw new SymblexError('TRUNCATED', 'payload ends before its checksum');
+        u.bad = true;
+        return;
       }
+      if (r.read(32) !== want) {
+        if (u.strict) throw new SymblexError('BAD_CHECKSUM', 'checksum does not match the payload');
+        u.bad = true;
+      }
+    }
+    if (u.strict && (r.left() >= 8 || (r.left() > 0 && r.read(r.left()) !== 0))) {
+      throw new SymblexError('INVALID_INPUT', 'data after the end of the payload');
+    }
+  }
 
-      var parts = text.split(/([a-zA-Z]+)/);
-      for (var pi = 0; pi < parts.length; pi++) {
-        var part = parts[pi];
-        if (!part) continue;
-        if (/^[a-zA-Z]+$/.test(part)) {
-          var lower = part.toLowerCase();
-          var tok   = _SX_ENCODE[lower];
-          if (tok !== undefined) {
-            pushBits(0, 1);
-            pushBits(_SX_WORDS.indexOf(lower), 11);
-          } else {
-            var stok = _stemEncode(lower);
-            if (stok !== null) {
-              var rootIdx = (stok.charCodeAt(1) - 65) * 62 + (B62IDX[stok[2]] || 0);
-              var sfxIdx  = SUFFIX_CODES.indexOf(stok[3]);
-              pushBits(2, 2);
-              pushBits(rootIdx, 11);
-              pushBits(sfxIdx < 0 ? 0 : sfxIdx, 4);
-            } else {
-              for (var ci = 0; ci < part.length; ci++) {
-                pushBits(7, 3);
-                pushBits(part.charCodeAt(ci) & 0x7F, 7);
-              }
-            }
-          }
+  var HEADER_BITS = 52;
+  var OP_MAX_BITS = 76;   /* INT: 12 + 8 varint groups of 8 */
+
+  /* Decodes every opcode buffered so far. Unless `end` is set it
+     stops while fewer bits are left than the longest opcode, so
+     an opcode is never read across a chunk boundary. */
+  function _unpackStep(u, end) {
+    var r      = u.r;
+    var st     = u.st;
+    var result = '';
+    if (u.head) {
+      if (!end && r.left() < HEADER_BITS) return '';
+      if (r.left() === 0) { u.done = true; return ''; }    /* empty payload */
+      u.head = false;
+      if (r.left() >= 20 && r.peek(12) === OP_END) {
+        r.read(12);
+        u.version = r.read(4);
+        var flags = r.read(4);
+        var ok    = u.version === 1 || u.version === 2;
+        if (!ok || flags > (FLAG_FP | FLAG_CRC)) {
+          if (u.strict) throw new SymblexError('UNSUPPORTED_VERSION', 'pack version ' + u.version + ', flags ' + flags);
+        }
+        u.crc = !!(flags & FLAG_CRC);
+        if (ok && (flags & FLAG_FP)) {
+          ok = _checkFingerprint(st, _fpToStr(r.read(32)), _opts(st, u.options));
+          if (!ok && u.strict) throw new SymblexError('DICTIONARY_MISMATCH', 'payload was packed with different dictionaries');
+        }
+        if (!ok) { u.failed = u.done = true; return ''; }
+      }
+    }
+    result = u.version === 2 ? _unpackV2(u, end) : _unpackV1(u, end);
+    if (end && !u.done) _unpackFail(u, 'TRUNCATED', 'payload ends before END');
+    return result;
+  }
+
+  function _unpackV1(u, end) {
+    var r      = u.r;
+    var result = '';
+    var need   = end ? 3 : OP_MAX_BITS;
+    while (!u.done && r.left() >= need) {
+      var f1 = r.read(1);
+      if (f1 === 0) {
+        var idx = r.read(11);
+        if (idx === OP_TITLE) { u.kind = CASE_TITLE; continue; }
+        if (idx === OP_UPPER) { u.kind = CASE_UPPER; continue; }
+        if (idx === OP_UNICODE) {
+          if (r.left() < 21) { _unpackFail(u, 'TRUNCATED', 'payload ends inside a code point'); break; }
+          result += _fromCodePoint(r.read(21));
+          continue;
+        }
+        if (idx === OP_EXT) {
+          if (r.left() < 19) { _unpackFail(u, 'TRUNCATED', 'payload ends inside an extended token'); break; }
+          result += _unpackExt(u);
+          continue;
+        }
+        if (idx === OP_CUSTOM) {
+          if (r.left() < 10) { _unpackFail(u, 'TRUNCATED', 'payload ends inside a custom word'); break; }
+          result += _unpackCustom(u);
+          continue;
+        }
+        if (idx === OP_INT) {
+          if (r.left() < 8) { _unpackFail(u, 'TRUNCATED', 'payload ends inside an integer'); break; }
+          result += _readVarint(r);
+          continue;
+        }
+        if (idx >= RUN_FIRST && idx < RUN_FIRST + _SX_RUNS.length) {
+          result += _SX_RUNS[idx - RUN_FIRST];
+          continue;
+        }
+        if (idx === OP_END) { _unpackEnd(u); break; }
+        if (idx >= OP_FIRST || idx >= PHRASE_FIRST + _SX_PHRASES.length) {
+          _unpackFail(u, 'UNKNOWN_OPCODE', 'reserved word index ' + idx);
+          break;
+        }
+        result += _unpackWord(u, idx);
+      } else {
+        var f2 = r.read(1);
+        if (f2 === 0) {
+          if (r.left() < 15) { _unpackFail(u, 'TRUNCATED', 'payload ends inside a stem'); break; }
+          var rIdx   = r.read(11);
+          result += _unpackStem(u, rIdx, SUFFIX_CODES[r.read(4)]);
         } else {
-          for (var ci2 = 0; ci2 < part.length; ci2++) {
-            var ch = part[ci2];
-            if (ch === ' ') { pushBits(6, 3); }
-            else {
-              var code = ch.charCodeAt(0);
-              if (code < 128) { pushBits(7, 3); pushBits(code & 0x7F, 7); }
-              else {
-                /* Non-ASCII: encode as UTF-8 escape sequence marker 0xFE + 2 raw bytes */
-                var encoded = encodeURIComponent(ch);
-                for (var ei = 0; ei < encoded.length; ei++) {
-                  pushBits(7, 3);
-                  pushBits(encoded.charCodeAt(ei) & 0x7F, 7);
-                }
-              }
-            }
+          var f3 = r.read(1);
+          if (f3 === 0) { result += ' '; }
+          else {
+            if (r.left() < 7) { _unpackFail(u, 'TRUNCATED', 'payload ends inside a char'); break; }
+            result += String.fromCharCode(r.read(7));
           }
         }
       }
-      /* END sentinel */
-      pushBits(0, 1);
-      pushBits(2047, 11);
-      /* Pad to multiple of 6 */
-      while (bits.length % 6 !== 0) bits.push(0);
-      var result = '';
-      for (var bi = 0; bi < bits.length; bi += 6) {
-        var v = (bits[bi]<<5)|(bits[bi+1]<<4)|(bits[bi+2]<<3)|(bits[bi+3]<<2)|(bits[bi+4]<<1)|bits[bi+5];
-        result += BASE64URL[v];
+    }
+    return result;
+  }
+
+  /* The v2 loop. Between chunks it holds back two codes (a stem
+     and its root) plus the longest payload (INT, 64 bits). */
+  function _unpackV2(u, end) {
+    var r      = u.r;
+    var h      = _v2Huff();
+    var need   = end ? 1 : 2 * h.max + 64;
+    var result = '';
+    while (!u.done && r.left() >= need) {
+      var s = _v2Read(r, h);
+      if (s < 0) { _unpackFail(u, 'TRUNCATED', 'payload ends part way through a code'); break; }
+      if (s === V2_END) { _unpackEnd(u); break; }
+      if (s < V2_CHAR) { result += _unpackWord(u, s); continue; }
+      if (s < V2_STEM) { result += String.fromCharCode(s - V2_CHAR); continue; }
+      if (s < V2_END) {
+        var root = _v2Read(r, h);
+        if (root < 0) { _unpackFail(u, 'TRUNCATED', 'payload ends inside a stem'); break; }
+        result += _unpackStem(u, root, String.fromCharCode(97 + s - V2_STEM));
+        continue;
+      }
+      if (s >= V2_RUN) { result += _SX_RUNS[s - V2_RUN]; continue; }
+      if (s === V2_TITLE) { u.kind = CASE_TITLE; continue; }
+      if (s === V2_UPPER) { u.kind = CASE_UPPER; continue; }
+      if (s === V2_INT) {
+        if (r.left() < 8) { _unpackFail(u, 'TRUNCATED', 'payload ends inside an integer'); break; }
+        result += _readVarint(r);
+        continue;
+      }
+      var payload = s === V2_UNICODE ? 21 : s === V2_CUSTOM ? 10 : 19;
+      if (r.left() < payload) { _unpackFail(u, 'TRUNCATED', 'payload ends inside a code'); break; }
+      if (s === V2_UNICODE) result += _fromCodePoint(r.read(21));
+      else if (s === V2_CUSTOM) result += _unpackCustom(u);
+      else result += _unpackExt(u);
+    }
+    return result;
+  }
+
+  /* Built-in word or phrase at idx, in the pending case */
+  function _unpackWord(u, idx) {
+    var word = idx < _SX_BUILTIN ? _SX_WORDS[idx] : _SX_PHRASES[idx - PHRASE_FIRST];
+    var kind = u.kind;
+    u.kind = CASE_LOWER;
+    return _applyCase(word, kind);
+  }
+
+  function _unpackStem(u, root, code) {
+    var word = root < _SX_BUILTIN && code ? _applySuffix(_SX_WORDS[root], code) : null;
+    var kind = u.kind;
+    u.kind = CASE_LOWER;
+    if (word === null && u.strict) throw new SymblexError('UNKNOWN_OPCODE', 'no stem for root ' + root + ' with suffix code ' + code);
+    return word !== null ? _applyCase(word, kind) : '';
+  }
+
+  /* Custom and extended tokens: the word, or the raw token when
+     this codec can't expand it (as decode() does) */
+  function _unpackCustom(u) {
+    var tok  = _idxTok(CUSTOM_FIRST + u.r.read(10));
+    var word = _tokWord(u.st, tok);
+    var kind = u.kind;
+    u.kind = CASE_LOWER;
+    if (word === null && u.strict) throw new SymblexError('DICTIONARY_MISMATCH', 'no custom word for ' + tok);
+    return word !== null ? _applyCase(word, kind) : _markCase(tok, kind);
+  }
+
+  function _unpackExt(u) {
+    var tok  = _readExt(u.r);
+    var word = _decodeExt(u.st, tok);
+    var kind = u.kind;
+    u.kind = CASE_LOWER;
+    if (word === null && u.strict) {
+      var m      = EXT_RE.exec(tok);
+      var custom = m !== null && _tokIndex('~' + m[2]) >= CUSTOM_FIRST;
+      throw new SymblexError(custom ? 'DICTIONARY_MISMATCH' : 'UNKNOWN_OPCODE', 'no word for ' + tok);
+    }
+    return word !== null ? _applyCase(word, kind) : _markCase(tok, kind);
+  }
+
+  /* The text, or null when the payload is refused (unknown
+     version, different dictionaries, or a checksum it fails or
+     never reaches) */
+  function _unpackBits(st, bytes, bits, options) {
+    var u = _unpackState(st, options);
+    u.r.feedBytes(bytes, bits);
+    var result = _unpackStep(u, true);
+    return u.failed || u.bad || (u.crc && !u.ended) ? null : result;
+  }
+
+  /* unpack(bytes) → text; "" for anything but bytes, or when
+     the payload is refused */
+  function _unpack(st, input, options) {
+    try {
+      var bytes = _asBytes(input);
+      if (!bytes && input !== null && input !== undefined && _safeOpts(options).strict === true) {
+        throw new SymblexError('INVALID_INPUT', 'unpack() takes bytes');
       }
-      return result;
-    } catch (e) { return encodeToURL(_safeStr(input)); }
+      if (!bytes || !bytes.length) return '';
+      var out = _unpackBits(st, bytes, bytes.length * 8, options);
+      return out === null ? '' : out;
+    } catch (e) {
+      if (e instanceof SymblexError) throw e;
+      return '';
+    }
   }
 
-  function unpackFromBase64url(input) {
+  /* A refused base64url payload comes back unchanged */
+  function _unpackFromBase64url(st, input, options) {
     try {
       var b64 = _safeStr(input);
       if (!b64) return '';
-      var bits = [];
-      for (var ci = 0; ci < b64.length; ci++) {
-        var val = BASE64URL.indexOf(b64[ci]);
-        if (val < 0) continue;
-        for (var b = 5; b >= 0; b--) bits.push((val >> b) & 1);
+      var bin = _fromBase64url(b64, _safeOpts(options).strict === true);
+      var out = _unpackBits(st, bin.bytes, bin.bits, options);
+      return out === null ? b64 : out;
+    } catch (e) {
+      if (e instanceof SymblexError) throw e;
+      return _safeStr(input);
+    }
+  }
+
+  /* ─────────────────────────────────────────────────────────
+   *  STREAMS  (Node.js only)
+   *  createEncodeStream(options) / createDecodeStream(options)
+   *  createPackStream(options)   / createUnpackStream(options)
+   *
+   *  Transform streams for inputs too large to hold in memory.
+   *  Input bytes are read as UTF-8 (a character split across
+   *  two chunks is joined first); output is UTF-8 text.
+   *
+   *  Chunks are only cut where the one-shot method would cut,
+   *  so the output is the same as encode() / decode() /
+   *  packToBase64url() / unpackFromBase64url() on the whole
+   *  input. What is held back until the next chunk:
+   *    encode, pack   the trailing word and a ~ just before it
+   *                   (pack: or the last PACK_LOOKAHEAD chars of
+   *                   trailing digits / punctuation)
+   *    decode         a ~ too near the end to close its token
+   *    unpack         fewer bits than the longest opcode
+   *  A letter run longer than STREAM_MAX_WORD can't be a word
+   *  from any dictionary, so it is written out raw rather than
+   *  held — memory stays constant whatever the input.
+   *
+   *  Outside Node.js these return null.
+   *
+   *  Example:
+   *    fs.createReadStream('export.log')
+   *      .pipe(Symblex.createPackStream())
+   *      .pipe(fs.createWriteStream('export.log.sx'));
+   * ───────────────────────────────────────────────────────── */
+  var STREAM_MAX_WORD = 256;
+
+  function _isLetter(c) {
+    return (c >= 65 && c <= 90) || (c >= 97 && c <= 122);
+  }
+
+  /* Start of the trailing word, and of a ~ just before it */
+  function _wordTail(text) {
+    var i = text.length;
+    while (i > 0 && _isLetter(text.charCodeAt(i - 1))) i--;
+    if (i > 0 && text[i - 1] === '~') i--;
+    return i;
+  }
+
+  /* Where a run of words still open at the chunk end (cut = start
+     of the trailing word) stops being final. A phrase match at
+     word i depends only on words i … i+phraseMax-1, so words are
+     kept back from the first one whose window is not complete. */
+  function _phraseTail(st, text, cut, preserveCase) {
+    var max = st.phraseMax;
+    if (max < 2 || text[cut] === '~' || text[cut - 1] !== ' ' || !_isLetter(text.charCodeAt(cut - 2))) return cut;
+    var starts = [];
+    var i = cut - 1;
+    while (true) {
+      var j = i;
+      while (j > 0 && _isLetter(text.charCodeAt(j - 1))) j--;
+      starts.push(j);
+      if (j < 2 || text[j - 1] !== ' ' || !_isLetter(text.charCodeAt(j - 2))) break;
+      i = j - 1;
+    }
+    starts.reverse();
+    var words = starts.map(function (at, k) {
+      return text.slice(at, k + 1 < starts.length ? starts[k + 1] - 1 : cut - 1);
+    });
+    for (var k = 0; k < words.length; ) {
+      if (k + max > words.length) return starts[k];
+      var hit = _matchPhrase(st, words, k, preserveCase);
+      k += hit ? hit.n : 1;
+    }
+    return cut;
+  }
+
+  /* Where the trailing non-letter run stops being final for the
+     packer: its symbols are chosen left to right, each from the
+     next PACK_LOOKAHEAD chars, so the cut goes at the first
+     symbol whose window reaches the chunk end. */
+  function _symbolTail(c, text) {
+    var i = text.length;
+    while (i > 0 && !_isLetter(text.charCodeAt(i - 1))) i--;
+    while (text.length - i >= PACK_LOOKAHEAD) i += _packSymbol(c, text, i, false);
+    return i;
+  }
+
+  /* Start of a ~ that may open a token cut by the chunk end.
+     ~~ pairs are skipped from the left, as decode() reads them. */
+  function _tokenTail(text) {
+    var i = 0;
+    while ((i = text.indexOf('~', i)) >= 0) {
+      if (i > text.length - TOKEN_MAX) return i;
+      i += text[i + 1] === '~' ? 2 : 1;
+    }
+    return text.length;
+  }
+
+  /* Hands text to emit(push, text, raw, more) without splitting
+     a word or a phrase match. raw = true is the rest of an
+     over-long letter run; more = true means a word or ~ follows
+     straight after. tail(text, cut) moves the cut back over words
+     a phrase could still take. */
+  function _wordChunker(emit, tail) {
+    var held  = '';
+    var inRun = false;
+    return function (push, text, end) {
+      text = held + text;
+      held = '';
+      if (inRun) {
+        var run = 0;
+        while (run < text.length && _isLetter(text.charCodeAt(run))) run++;
+        if (run) emit(push, text.slice(0, run), true);
+        text = text.slice(run);
+        if (!text && !end) return;
+        inRun = false;
       }
-      function readBits(count) {
-        var v = 0;
-        for (var i = 0; i < count; i++) v = (v << 1) | (bits.shift() || 0);
-        return v;
+      if (!end) {
+        var cut = _wordTail(text);
+        if (text.length - cut > STREAM_MAX_WORD) inRun = true;
+        else {
+          cut  = tail(text, cut);
+          held = text.slice(cut);
+          text = text.slice(0, cut);
+        }
       }
-      var result = '';
-      while (bits.length >= 3) {
-        var f1 = readBits(1);
-        if (f1 === 0) {
-          var idx = readBits(11);
-          if (idx >= _SX_WORDS.length) break; /* END sentinel */
-          result += _SX_WORDS[idx];
-        } else {
-          var f2 = readBits(1);
-          if (f2 === 0) {
-            if (bits.length < 15) break;
-            var rIdx   = readBits(11);
-            var sfxIdx = readBits(4);
-            var sfxCd  = SUFFIX_CODES[sfxIdx];
-            var rule   = sfxCd ? SUFFIX_TABLE[sfxCd] : null;
-            if (rIdx < _SX_WORDS.length && rule) {
-              var root = _SX_WORDS[rIdx];
-              result += (rule[1] && root.length > 0 && root[root.length-1]==='e')
-                ? root.slice(0,-1)+rule[0] : root+rule[0];
-            }
-          } else {
-            var f3 = readBits(1);
-            if (f3 === 0) { result += ' '; }
-            else {
-              if (bits.length < 7) break;
-              result += String.fromCharCode(readBits(7));
-            }
+      if (text) emit(push, text, false, held !== '');
+    };
+  }
+
+  /* Transform over UTF-8 text: write(text, end, push) */
+  function _textTransform(write) {
+    var stream, decoder;
+    try {
+      stream  = require('stream');
+      decoder = new (require('string_decoder').StringDecoder)('utf8');
+    } catch (e) { return null; }
+    var t = new stream.Transform({
+      transform: function (chunk, enc, cb) {
+        try { write(typeof chunk === 'string' ? chunk : decoder.write(chunk), false, push); cb(); }
+        catch (e) { cb(e); }
+      },
+      flush: function (cb) {
+        try { write(decoder.end(), true, push); cb(); }
+        catch (e) { cb(e); }
+      }
+    });
+    function push(out) { if (out) t.push(out); }
+    return t;
+  }
+
+  function _createEncodeStream(st, options) {
+    try {
+      var opts = _opts(st, options);
+      var eo   = _encodeOpts(opts);
+      var head = eo.envelope ? '~..' + _fingerprint(st) : '';
+      opts.envelope = false;
+      var feed = _wordChunker(function (push, text, raw, more) {
+        /* A ~ at the end escapes on what follows — stand in for it */
+        var out = raw ? text : more ? _encode(st, text + '~', opts).slice(0, -1) : _encode(st, text, opts);
+        push(head + out);
+        head = '';
+      }, function (text, cut) { return _phraseTail(st, text, cut, eo.preserveCase); });
+      return _textTransform(function (text, end, push) { feed(push, text, end); });
+    } catch (e) { return null; }
+  }
+
+  function _createDecodeStream(st, options) {
+    try {
+      var opts = _opts(st, options);
+      var held = '';
+      var head = true;
+      var pass = false;
+      return _textTransform(function (text, end, push) {
+        text = held + text;
+        held = '';
+        if (head) {
+          if (!end && text.length < 9 && text.slice(0, 3) === '~..'.slice(0, Math.min(text.length, 3))) {
+            held = text;
+            return;
+          }
+          head = false;
+          var env = ENVELOPE_RE.exec(text);
+          if (env) {
+            if (_checkFingerprint(st, env[1], opts)) text = text.slice(env[0].length);
+            else pass = true;
           }
         }
-      }
-      return result;
-    } catch (e) { return _safeStr(input); }
+        if (pass) { push(text); return; }
+        if (!end) {
+          var cut = _tokenTail(text);
+          held = text.slice(cut);
+          text = text.slice(0, cut);
+        }
+        push(_decodeBody(st, text));
+      });
+    } catch (e) { return null; }
+  }
+
+  function _createPackStream(st, options) {
+    try {
+      var opts = _encodeOpts(_opts(st, options));
+      var w    = _bitWriter();
+      var c    = _packCoder(w, opts.packVersion);
+      var any  = false;
+      var feed = _wordChunker(function (push, text, raw) {
+        if (!any && (opts.envelope || opts.checksum || opts.packVersion > 1)) {
+          _packHeader(st, w, opts.packVersion, opts.envelope, opts.checksum);
+        }
+        any = true;
+        if (raw) _packRaw(c, text);
+        else _packText(st, c, text, opts.preserveCase);
+        push(w.take(false));
+      }, function (text, cut) {
+        cut = _phraseTail(st, text, cut, opts.preserveCase);
+        return cut < text.length ? cut : _symbolTail(c, text);
+      });
+      return _textTransform(function (text, end, push) {
+        feed(push, text, end);
+        if (end && any) {
+          _packEnd(c, w, opts.checksum);
+          push(w.take(true));
+        }
+      });
+    } catch (e) { return null; }
+  }
+
+  function _createUnpackStream(st, options) {
+    try {
+      var u   = _unpackState(st, options);
+      var raw = '';
+      return _textTransform(function (text, end, push) {
+        if (u.failed) { push(text); return; }
+        if (u.done) {
+          if (u.strict && /[^\s]/.test(text)) throw new SymblexError('INVALID_INPUT', 'data after the end of the payload');
+          return;
+        }
+        if (u.head) raw += text;
+        u.r.feed(text);
+        var out = _unpackStep(u, end);
+        if (u.failed) { push(raw); return; }
+        if (!u.head) raw = '';
+        push(out);
+      });
+    } catch (e) { return null; }
   }
 
   /* ─────────────────────────────────────────────────────────
    *  stats(text) — full compression report
    * ───────────────────────────────────────────────────────── */
-  function stats(input) {
+  function _stats(st, input, options) {
     try {
       var text       = _safeStr(input);
-      var compressed = encode(text);
-      var packed     = packToBase64url(text);
+      var compressed = _encode(st, text, options);
+      var packed     = _packToBase64url(st, text, options);
       var orig       = text.length;
       var comp       = compressed.length;
       var bin        = packed.length;
       var saved      = orig - comp;
       var savedBin   = orig - bin;
       var words      = text.match(/[a-zA-Z]{4,}/g) || [];
-      var dictHits   = words.filter(function(w){ return _SX_ENCODE[w.toLowerCase()] !== undefined; });
+      var dictHits   = words.filter(function(w){ return _wordTok(st, w.toLowerCase()) !== null; });
       var stemHits   = words.filter(function(w){
-        return _SX_ENCODE[w.toLowerCase()] === undefined && _stemEncode(w.toLowerCase()) !== null;
+        return _wordTok(st, w.toLowerCase()) === null && _stemEncode(st, w.toLowerCase()) !== null;
+      });
+      var prefixHits = words.filter(function(w){
+        var lower = w.toLowerCase();
+        return _wordTok(st, lower) === null && _stemEncode(st, lower) === null && _prefixEncode(st, lower) !== null;
       });
+      var hits       = dictHits.length + stemHits.length + prefixHits.length;
+      var phraseHits = _phraseCount(st, text, _encodeOpts(_opts(st, options)).preserveCase);
       return {
         original:        orig,
         textEncoded:     comp,
@@ -1277,11 +3098,12 @@ var _SX_DECODE = {
         wordsScanned:    words.length,
         dictHits:        dictHits.length,
         stemHits:        stemHits.length,
-        totalHits:       dictHits.length + stemHits.length,
-        hitRate:         words.length > 0
-          ? (((dictHits.length+stemHits.length)/words.length)*100).toFixed(1)+'%' : '0%',
-        customDictLoaded: _customDictLoaded,
-        customWords:     _customWords,
+        prefixHits:      prefixHits.length,
+        phraseHits:      phraseHits,
+        totalHits:       hits,
+        hitRate:         words.length > 0 ? ((hits/words.length)*100).toFixed(1)+'%' : '0%',
+        customDictLoaded: st.loaded,
+        customWords:     st.count,
         encodedOutput:   compressed
       };
     } catch (e) {
@@ -1289,29 +3111,44 @@ var _SX_DECODE = {
     }
   }
 
+  /* Phrases encode() would write for text */
+  function _phraseCount(st, text, preserveCase) {
+    var count = 0;
+    (text.match(/[a-zA-Z]+(?: [a-zA-Z]+)+/g) || []).forEach(function (run) {
+      var words = run.split(' ');
+      for (var i = 0; i < words.length; ) {
+        var hit = _matchPhrase(st, words, i, preserveCase);
+        if (hit) count++;
+        i += hit ? hit.n : 1;
+      }
+    });
+    return count;
+  }
+
   /* ─────────────────────────────────────────────────────────
    *  lookup(word) / reverse(token) / list()
    * ───────────────────────────────────────────────────────── */
-  function lookup(word) {
+  function _lookup(st, word) {
     try {
       if (!word) return null;
       var lower = _safeStr(word).toLowerCase();
-      return _SX_ENCODE[lower] || _stemEncode(lower) || null;
+      return _wordTok(st, lower) || _stemEncode(st, lower) || _prefixEncode(st, lower) || null;
     } catch (e) { return null; }
   }
 
-  function reverse(token) {
+  function _reverse(st, token) {
     try {
       if (!token) return null;
       var tok = _safeStr(token);
-      if (tok.length === 3) return _SX_DECODE[tok] || null;
+      if (tok[1] === '.') return _decodeExt(st, tok);
+      if (tok.length === 3) return _tokWord(st, tok);
       if (tok.length === 4 && tok[1] >= 'A' && tok[1] <= 'Z') return _decodeSufTok(tok);
       return null;
     } catch (e) { return null; }
   }
 
-  function list() {
-    try { return _SX_WORDS.slice().sort(); }
+  function _list(st) {
+    try { return _SX_WORDS.concat(st.words).sort(); }
     catch (e) { return []; }
   }
 
@@ -1335,7 +3172,7 @@ var _SX_DECODE = {
    *    //   github: "https://github.com/prapanbiswas/symblex"
    *    // }
    * ───────────────────────────────────────────────────────── */
-  function runtime() {
+  function _runtime(st) {
     try {
       var env      = 'unknown';
       var platform = 'unknown';
@@ -1366,9 +3203,9 @@ var _SX_DECODE = {
         author:           AUTHOR,
         github:           GITHUB,
         license:          LICENSE,
-        dictionarySize:   _SX_WORDS.length,
-        customDictLoaded: _customDictLoaded,
-        customWords:      _customWords,
+        dictionarySize:   _SX_BUILTIN + st.words.length,
+        customDictLoaded: st.loaded,
+        customWords:      st.count,
         timestamp:        new Date().toISOString()
       };
     } catch (e) {
@@ -1376,6 +3213,61 @@ var _SX_DECODE = {
     }
   }
 
+  /* ─────────────────────────────────────────────────────────
+   *  CODEC BINDING
+   *  Every public method, bound to one dictionary state.
+   * ───────────────────────────────────────────────────────── */
+  function _bind(st) {
+    return {
+      encode:              function (input, options) { return _encode(st, input, options); },
+      decode:              function (input, options) { return _decode(st, input, options); },
+      encodeToURL:         function (input, options) { return _encodeToURL(st, input, options); },
+      decodeFromURL:       function (input, options) { return _decodeFromURL(st, input, options); },
+      pack:                function (input, options) { return _pack(st, input, options); },
+      unpack:              function (input, options) { return _unpack(st, input, options); },
+      packToBase64url:     function (input, options) { return _packToBase64url(st, input, options); },
+      unpackFromBase64url: function (input, options) { return _unpackFromBase64url(st, input, options); },
+      stats:               function (input, options) { return _stats(st, input, options); },
+      lookup:              function (word) { return _lookup(st, word); },
+      reverse:             function (token) { return _reverse(st, token); },
+      list:                function () { return _list(st); },
+      loadCustomDict:      function (dict) { return _loadCustomDict(st, dict); },
+      unloadCustomDict:    function () { return _unloadCustomDict(st); },
+      replaceCustomDict:   function (dict) { return _replaceCustomDict(st, dict); },
+      runtime:             function () { return _runtime(st); },
+      fingerprint:         function () { return _fingerprint(st); },
+      createEncodeStream:  function (options) { return _createEncodeStream(st, options); },
+      createDecodeStream:  function (options) { return _createDecodeStream(st, options); },
+      createPackStream:    function (options) { return _createPackStream(st, options); },
+      createUnpackStream:  function (options) { return _createUnpackStream(st, options); }
+    };
+  }
+
+  var _api = _bind(_default);
+
+  /* ─────────────────────────────────────────────────────────
+   *  PUBLIC: createCodec({ customDict, options })
+   *  Returns an isolated codec with its own custom dictionary
+   *  and default options. Loading words into one codec never
+   *  changes another, or the default Symblex object.
+   *  symblex-custom.json is NOT auto-loaded into a codec.
+   *
+   *  Example:
+   *    var tenant = Symblex.createCodec({
+   *      customDict: require('./tenant-a.json'),
+   *      options:    { preserveCase: true }
+   *    });
+   *    tenant.encode('Patient diagnosis');   // "~-oc ~od"
+   * ───────────────────────────────────────────────────────── */
+  function createCodec(config) {
+    try {
+      var cfg = _safeOpts(config);
+      var st  = _newState(cfg.options);
+      if (cfg.customDict) _loadCustomDict(st, cfg.customDict);
+      return _bind(st);
+    } catch (e) { return _bind(_newState()); }
+  }
+
   /* ─────────────────────────────────────────────────────────
    *  CLI HANDLER  (only active when run directly with Node.js)
    *  node symblex.js encode "your text"
@@ -1387,11 +3279,30 @@ var _SX_DECODE = {
    *  node symblex.js lookup "freedom"
    *  node symblex.js runtime
    *  node symblex.js list
+   *
+   *  encode / decode / url / pack / unpack / stats also take:
+   *    --file <path>   read the input from a file
+   *    --out <path>    write the result to a file
+   *    --lines         handle every line on its own
+   *  With no text and no --file, piped stdin is read.
+   *  File and stdin input is streamed, so size is no limit.
+   *  Without --lines it is one text: one final line ending is
+   *  dropped and the output ends with a newline, as for argv.
    * ───────────────────────────────────────────────────────── */
   function _runCLI() {
     var args  = process.argv.slice(2);
     var cmd   = args[0];
-    var input = args.slice(1).join(' ');
+    var file  = null;
+    var out   = null;
+    var lines = false;
+    var words = [];
+    for (var ai = 1; ai < args.length; ai++) {
+      if (args[ai] === '--file')       file  = args[++ai] || '';
+      else if (args[ai] === '--out')   out   = args[++ai] || '';
+      else if (args[ai] === '--lines') lines = true;
+      else words.push(args[ai]);
+    }
+    var input = words.join(' ');
 
     if (!cmd) {
       console.log('');
@@ -1410,25 +3321,53 @@ var _SX_DECODE = {
       console.log('    runtime               Show runtime environment');
       console.log('    list                   List all dictionary words');
       console.log('');
+      console.log('  Input / output (encode, decode, url, pack, unpack, stats):');
+      console.log('    --file <path>          Read input from a file');
+      console.log('    --out  <path>          Write output to a file');
+      console.log('    --lines                Process each line on its own');
+      console.log('    (no text, no --file)   Read piped stdin');
+      console.log('');
       console.log('  Examples:');
       console.log('    node symblex.js encode "working together toward freedom"');
       console.log('    node symblex.js stats  "people working together"');
       console.log('    node symblex.js runtime');
+      console.log('    node symblex.js pack --file export.log --out export.log.sx');
+      console.log('    cat urls.txt | node symblex.js url --lines > short.txt');
       console.log('');
       process.exit(0);
     }
 
+    var textCmds = {
+      encode: _api.encode,
+      decode: _api.decode,
+      url:    _api.encodeToURL,
+      pack:   _api.packToBase64url,
+      unpack: _api.unpackFromBase64url,
+      stats:  function (text) { return JSON.stringify(_api.stats(text), null, lines ? 0 : 2); }
+    };
+    if (_has(textCmds, cmd)) {
+      var piped = !input && file === null && !process.stdin.isTTY;
+      if (lines || file !== null || piped) {
+        _runCLIStream(cmd, input, file, out, lines, textCmds[cmd]);
+        return;
+      }
+      if (out !== null) {
+        _cliWrite(out, textCmds[cmd](input) + '\n');
+        return;
+      }
+    }
+
     switch (cmd) {
-      case 'encode':  console.log(encode(input));  break;
-      case 'decode':  console.log(decode(input));  break;
-      case 'url':     console.log(encodeToURL(input)); break;
-      case 'pack':    console.log(packToBase64url(input)); break;
-      case 'unpack':  console.log(unpackFromBase64url(input)); break;
-      case 'stats':   console.log(JSON.stringify(stats(input), null, 2)); break;
-      case 'runtime': console.log(JSON.stringify(runtime(), null, 2)); break;
-      case 'list':    list().forEach(function(w){ console.log(w + '  →  ' + lookup(w)); }); break;
+      case 'encode':  console.log(_api.encode(input));  break;
+      case 'decode':  console.log(_api.decode(input));  break;
+      case 'url':     console.log(_api.encodeToURL(input)); break;
+      case 'pack':    console.log(_api.packToBase64url(input)); break;
+      case 'unpack':  console.log(_api.unpackFromBase64url(input)); break;
+      case 'stats':   console.log(JSON.stringify(_api.stats(input), null, 2)); break;
+      case 'runtime': console.log(JSON.stringify(_api.runtime(), null, 2)); break;
+      case 'list':    _api.list().forEach(function(w){ console.log(w + '  →  ' + _api.lookup(w)); }); break;
       case 'lookup': {
-        var t = lookup(input.trim());
+        var t = _api.lookup(input.trim());
         console.log(t ? '"' + input.trim() + '" → "' + t + '"' : '"' + input.trim() + '" not in dictionary');
         break;
       }
@@ -1438,6 +3377,84 @@ var _SX_DECODE = {
     }
   }
 
+  function _cliFail(e) {
+    console.error('Error: ' + (e && e.message ? e.message : e));
+    process.exit(1);
+  }
+
+  function _cliWrite(path, data) {
+    try { require('fs').writeFileSync(path, data); }
+    catch (e) { _cliFail(e); }
+  }
+
+  /* Streams text from argv, --file or stdin through one command */
+  function _runCLIStream(cmd, text, file, out, lines, fn) {
+    var fs     = require('fs');
+    var stream = require('stream');
+    if (file === '' || out === '') _cliFail('--file and --out need a path');
+    var src  = file !== null ? fs.createReadStream(file) : text ? stream.Readable.from([text]) : process.stdin;
+    var dest = out !== null ? fs.createWriteStream(out) : process.stdout;
+    src.on('error', _cliFail);
+    dest.on('error', function (e) {
+      if (e.code === 'EPIPE') process.exit(0);   /* reader went away, e.g. | head */
+      _cliFail(e);
+    });
+
+    var decoder = new (require('string_decoder').StringDecoder)('utf8');
+    var body    = '';
+
+    /* --lines: one result line per input line */
+    if (lines) {
+      var held = '';
+      var one  = function (line) { return fn(line.replace(/\r$/, '')) + '\n'; };
+      src.pipe(new stream.Transform({
+        transform: function (chunk, enc, cb) {
+          var parts = (held + decoder.write(chunk)).split('\n');
+          held = parts.pop();
+          cb(null, parts.map(one).join('') || undefined);
+        },
+        flush: function (cb) {
+          held += decoder.end();
+          cb(null, held ? one(held) : undefined);
+        }
+      })).pipe(dest);
+      return;
+    }
+
+    /* Otherwise the input is one text, and like an argv argument it
+       ends without a line ending: one final \n or \r\n is dropped
+       (else pack would carry it in the payload), and the output ends
+       with \n like console.log(). */
+    if (cmd === 'stats') {
+      src.on('data', function (chunk) { body += decoder.write(chunk); });
+      src.on('end', function () { dest.end(fn((body + decoder.end()).replace(/\r?\n$/, '')) + '\n'); });
+      return;
+    }
+    var trimmed = src.pipe(new stream.Transform({
+      transform: function (chunk, enc, cb) {
+        var text = body + decoder.write(chunk);
+        body = /\r?\n?$/.exec(text)[0];   /* held until the next chunk */
+        cb(null, text.slice(0, text.length - body.length) || undefined);
+      },
+      flush: function (cb) {
+        cb(null, (body + decoder.end()).replace(/\r?\n$/, '') || undefined);
+      }
+    }));
+
+    var codec = {
+      encode: _api.createEncodeStream,
+      url:    _api.createEncodeStream,
+      decode: _api.createDecodeStream,
+      pack:   _api.createPackStream,
+      unpack: _api.createUnpackStream
+    }[cmd]();
+    var url = cmd === 'url';
+    trimmed.pipe(codec).pipe(new stream.Transform({
+      transform: function (chunk, enc, cb) { cb(null, url ? String(chunk).replace(/ /g, '+') : chunk); },
+      flush:     function (cb) { cb(null, '\n'); }
+    })).pipe(dest);
+  }
+
   /* ─────────────────────────────────────────────────────────
    *  AUTO-INIT: load custom dict on Node.js startup
    * ───────────────────────────────────────────────────────── */
@@ -1457,22 +3474,33 @@ var _SX_DECODE = {
    *  PUBLIC API
    * ───────────────────────────────────────────────────────── */
   return {
-    encode:              encode,
-    decode:              decode,
-    encodeToURL:         encodeToURL,
-    decodeFromURL:       decodeFromURL,
-    packToBase64url:     packToBase64url,
-    unpackFromBase64url: unpackFromBase64url,
-    stats:               stats,
-    lookup:              lookup,
-    reverse:             reverse,
-    list:                list,
-    loadCustomDict:      loadCustomDict,
-    runtime:             runtime,
+    encode:              _api.encode,
+    decode:              _api.decode,
+    encodeToURL:         _api.encodeToURL,
+    decodeFromURL:       _api.decodeFromURL,
+    pack:                _api.pack,
+    unpack:              _api.unpack,
+    packToBase64url:     _api.packToBase64url,
+    unpackFromBase64url: _api.unpackFromBase64url,
+    stats:               _api.stats,
+    lookup:              _api.lookup,
+    reverse:             _api.reverse,
+    list:                _api.list,
+    loadCustomDict:      _api.loadCustomDict,
+    unloadCustomDict:    _api.unloadCustomDict,
+    replaceCustomDict:   _api.replaceCustomDict,
+    runtime:             _api.runtime,
+    fingerprint:         _api.fingerprint,
+    createEncodeStream:  _api.createEncodeStream,
+    createDecodeStream:  _api.createDecodeStream,
+    createPackStream:    _api.createPackStream,
+    createUnpackStream:  _api.createUnpackStream,
+    createCodec:         createCodec,
+    SymblexError:        SymblexError,
     VERSION:             VERSION,
     AUTHOR:              AUTHOR,
     GITHUB:              GITHUB,
     LICENSE:             LICENSE,
-    DICTIONARY_SIZE:     _SX_WORDS.length
+    DICTIONARY_SIZE:     _SX_BUILTIN + _default.words.length
   };
 }));
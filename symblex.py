@@ -745,6 +745,118 @@ _SUFFIX_STRIP = [
     ("ly","j"),("es","b"),("s","a"),
 ]
 _SUFFIX_CODES = list(_SUFFIX_TABLE.keys())
+
+# ─────────────────────────────────────────────────────────────────
+#  SPELLING RULES, IRREGULAR FORMS, PREFIXES, PHRASES  (decode only)
+#  Tokens symblex.js writes that this port reads but never writes:
+#    ~[A-Z]X[p-w]   doubled consonant / y → i suffixes
+#    ~[A-Z]X[x-z]   1st / 2nd / 3rd form listed in _IRREGULAR
+#    ~.[A-Z]?XX[a-z]{0,3}
+#                   prefix code, root token body, up to three
+#                   suffix codes applied in order
+#    ~nG – ~nZ      built-in phrases
+# ─────────────────────────────────────────────────────────────────
+_ORTHO_TABLE: Dict[str, tuple] = {
+    "p": ("ing",   True ),  "q": ("ed",    True ),
+    "r": ("er",    True ),  "s": ("ies",   False),
+    "t": ("ied",   False),  "u": ("ier",   False),
+    "v": ("ily",   False),  "w": ("iness", False),
+}
+_IRREGULAR_CODES = ["x", "y", "z"]
+_IRREGULAR: Dict[str, List[str]] = {
+    # nouns
+    "analysis": ["analyses"],  "appendix": ["appendices"], "basis":     ["bases"],
+    "cactus":   ["cacti"],     "child":    ["children"],   "crisis":    ["crises"],
+    "criterion":["criteria"],  "datum":    ["data"],       "foot":      ["feet"],
+    "fungus":   ["fungi"],     "goose":    ["geese"],      "half":      ["halves"],
+    "hypothesis":["hypotheses"],"index":   ["indices"],    "knife":     ["knives"],
+    "leaf":     ["leaves"],    "life":     ["lives"],      "loaf":      ["loaves"],
+    "matrix":   ["matrices"],  "medium":   ["media"],      "mouse":     ["mice"],
+    "nucleus":  ["nuclei"],    "person":   ["people"],     "phenomenon":["phenomena"],
+    "radius":   ["radii"],     "self":     ["selves"],     "shelf":     ["shelves"],
+    "stimulus": ["stimuli"],   "thesis":   ["theses"],     "thief":     ["thieves"],
+    "tooth":    ["teeth"],     "vertex":   ["vertices"],   "wife":      ["wives"],
+    "wolf":     ["wolves"],    "woman":    ["women"],
+    # adjectives
+    "good":     ["better", "best"],        "little":   ["less", "least"],
+    # verbs
+    "arise":    ["arose", "arisen"],       "awake":    ["awoke", "awoken"],
+    "bear":     ["bore", "borne", "born"], "beat":     ["beat", "beaten"],
+    "become":   ["became"],                "begin":    ["began", "begun"],
+    "bend":     ["bent"],                  "bind":     ["bound"],
+    "bite":     ["bit", "bitten"],         "bleed":    ["bled"],
+    "blow":     ["blew", "blown"],         "break":    ["broke", "broken"],
+    "breed":    ["bred"],                  "bring":    ["brought"],
+    "build":    ["built"],                 "catch":    ["caught"],
+    "choose":   ["chose", "chosen"],       "cling":    ["clung"],
+    "come":     ["came"],                  "creep":    ["crept"],
+    "deal":     ["dealt"],                 "draw":     ["drew", "drawn"],
+    "dream":    ["dreamt"],                "drink":    ["drank", "drunk"],
+    "drive":    ["drove", "driven"],       "dwell":    ["dwelt"],
+    "feed":     ["fed"],                   "feel":     ["felt"],
+    "fight":    ["fought"],                "find":     ["found"],
+    "flee":     ["fled"],                  "fling":    ["flung"],
+    "forbid":   ["forbade", "forbidden"],  "forget":   ["forgot", "forgotten"],
+    "forgive":  ["forgave", "forgiven"],   "freeze":   ["froze", "frozen"],
+    "give":     ["gave", "given"],         "grind":    ["ground"],
+    "grow":     ["grew", "grown"],         "hang":     ["hung"],
+    "have":     ["had"],                   "hear":     ["heard"],
+    "hide":     ["hid", "hidden"],         "hold":     ["held"],
+    "keep":     ["kept"],                  "kneel":    ["knelt"],
+    "know":     ["knew", "known"],         "lead":     ["led"],
+    "leap":     ["leapt"],                 "leave":    ["left"],
+    "lend":     ["lent"],                  "lose":     ["lost"],
+    "make":     ["made"],                  "mean":     ["meant"],
+    "meet":     ["met"],                   "ride":     ["rode", "ridden"],
+    "ring":     ["rang", "rung"],          "rise":     ["rose", "risen"],
+    "seek":     ["sought"],                "sell":     ["sold"],
+    "send":     ["sent"],                  "shake":    ["shook", "shaken"],
+    "shine":    ["shone"],                 "shoot":    ["shot"],
+    "show":     ["showed", "shown"],       "shrink":   ["shrank", "shrunk"],
+    "sing":     ["sang", "sung"],          "sink":     ["sank", "sunk"],
+    "sleep":    ["slept"],                 "slide":    ["slid"],
+    "speak":    ["spoke", "spoken"],       "speed":    ["sped"],
+    "spend":    ["spent"],                 "spin":     ["spun"],
+    "spring":   ["sprang", "sprung"],      "stand":    ["stood"],
+    "steal":    ["stole", "stolen"],       "stick":    ["stuck"],
+    "sting":    ["stung"],                 "stink":    ["stank", "stunk"],
+    "strike":   ["struck", "stricken"],    "string":   ["strung"],
+    "strive":   ["strove", "striven"],     "swear":    ["swore", "sworn"],
+    "sweep":    ["swept"],                 "swim":     ["swam", "swum"],
+    "swing":    ["swung"],                 "take":     ["took", "taken"],
+    "teach":    ["taught"],                "tear":     ["tore", "torn"],
+    "tell":     ["told"],                  "think":    ["thought"],
+    "throw":    ["threw", "thrown"],       "tread":    ["trod", "trodden"],
+    "understand":["understood"],           "wake":     ["woke", "woken"],
+    "wear":     ["wore", "worn"],          "weave":    ["wove", "woven"],
+    "weep":     ["wept"],                  "wind":     ["wound"],
+    "write":    ["wrote", "written"],
+}
+_PREFIX_TABLE: Dict[str, str] = {
+    "A": "anti",  "D": "dis",  "E": "under", "I": "inter",
+    "M": "mis",   "N": "non",  "O": "over",  "P": "pre",
+    "R": "re",    "S": "sub",  "T": "out",   "U": "un",
+}
+_EXT_RE = re.compile(r"^~\.([A-Z]?)([0-9a-z][0-9a-zA-Z])([a-z]{0,3})$")
+
+_PHRASES: List[str] = [
+    "in order to", "as well as", "at the same time", "on the other hand",
+    "for example", "for instance", "in addition to", "as a result",
+    "according to", "in terms of", "as soon as", "as long as",
+    "as far as", "even though", "such as", "rather than",
+    "because of", "one of the", "at least", "of course",
+]
+_CUSTOM_FIRST = 24 * 62   # ~o0
+_CUSTOM_LAST  = 36 * 62 - 1   # ~zZ
+
+# ─────────────────────────────────────────────────────────────────
+#  TOKEN GRAMMAR  (same as symblex.js)
+#  A literal ~ that decode could mistake for a token is written as
+#  ~~, and ~~ decodes back to ~. ~-XX / ~_XX mark Title-case and
+#  ALL-CAPS words. A token this port cannot read is left as-is.
+# ─────────────────────────────────────────────────────────────────
+_TOKEN_RE  = re.compile(r"~~|~([-_]?)(\.[A-Z]?[0-9a-z][0-9a-zA-Z][a-z]{0,3}|[A-Z][0-9a-zA-Z][a-z]|[0-9a-zA-Z][0-9a-zA-Z])")
+_ENCODE_RE = re.compile(r"[a-zA-Z]+|~(?=[~\-_.0-9a-zA-Z])")
 _B62 = "0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ"
 _BASE64URL = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_"
 
@@ -771,19 +883,57 @@ def _make_suf_tok(root_idx: int, sfx_code: str) -> str:
     return "~" + chr(65 + root_idx // 62) + _B62[root_idx % 62] + sfx_code
 
 
+def _idx_tok(idx: int) -> str:
+    return "~" + _B62[idx // 62] + _B62[idx % 62]
+
+
+def _tok_index(tok: str) -> int:
+    """Base-62 index of a 3-char token, or -1."""
+    if len(tok) != 3 or tok[0] != "~" or tok[1] not in _B62 or tok[2] not in _B62:
+        return -1
+    return _B62.index(tok[1]) * 62 + _B62.index(tok[2])
+
+
+_PHRASE_DECODE: Dict[str, str] = {_idx_tok(len(_WORDS) + i): p for i, p in enumerate(_PHRASES)}
+
+
+def _apply_suffix(root: str, sfx_code: str) -> Optional[str]:
+    """root + suffix code → surface form, or None if the code does not apply."""
+    last = root[-1:] if root else ""
+    if sfx_code in _SUFFIX_TABLE:
+        sfx_str, e_drop = _SUFFIX_TABLE[sfx_code]
+        return (root[:-1] + sfx_str) if (e_drop and last == "e") else (root + sfx_str)
+    if sfx_code in _ORTHO_TABLE:
+        sfx_str, doubled = _ORTHO_TABLE[sfx_code]
+        if doubled:
+            return root + last + sfx_str if last and last in "bcdfghjklmnpqrstvz" else None
+        return root[:-1] + sfx_str if last == "y" else None
+    if sfx_code in _IRREGULAR_CODES:
+        forms = _IRREGULAR.get(root, [])
+        form  = _IRREGULAR_CODES.index(sfx_code)
+        return forms[form] if form < len(forms) else None
+    return None
+
+
 def _decode_suf_tok(tok: str) -> str:
     try:
         root_idx = (ord(tok[1]) - 65) * 62 + _B62.index(tok[2])
-        sfx_code = tok[3]
-        rule = _SUFFIX_TABLE.get(sfx_code)
-        if not rule or root_idx >= len(_WORDS):
+        if root_idx >= len(_WORDS):
             return tok
-        root, sfx_str, e_drop = _WORDS[root_idx], rule[0], rule[1]
-        return (root[:-1] + sfx_str) if (e_drop and root.endswith("e")) else (root + sfx_str)
+        word = _apply_suffix(_WORDS[root_idx], tok[3])
+        return tok if word is None else word
     except Exception:
         return tok
 
 
+def _apply_case(word: str, mark: str) -> str:
+    if mark == "_":
+        return word.upper()
+    if mark == "-":
+        return word[:1].upper() + word[1:]
+    return word
+
+
 def _stem_encode(word: str) -> Optional[str]:
     try:
         for sfx_str, sfx_code in _SUFFIX_STRIP:
@@ -819,6 +969,7 @@ class Symblex:
     def __init__(self, custom_dict_path: Optional[str] = None):
         self._encode = dict(_ENCODE)
         self._decode = dict(_DECODE)
+        self._decode.update(_PHRASE_DECODE)
         self._words  = list(_WORDS)
         self._custom_loaded = False
         self._custom_words  = 0
@@ -871,7 +1022,10 @@ class Symblex:
             s = _safe_str(text)
             if not s:
                 return ""
-            return re.sub(r"[a-zA-Z]+", lambda m: self._do_encode_word(m.group()), s)
+            def _replace(m):
+                tok = m.group()
+                return "~~" if tok == "~" else self._do_encode_word(tok)
+            return _ENCODE_RE.sub(_replace, s)
         except Exception:
             return _safe_str(text)
 
@@ -883,15 +1037,49 @@ class Symblex:
                 return ""
             def _replace(m):
                 tok = m.group()
-                if len(tok) == 3:
-                    return self._decode.get(tok, tok)
-                if len(tok) == 4 and tok[1].isupper():
-                    return _decode_suf_tok(tok)
-                return tok
-            return re.sub(r"~[0-9a-zA-Z]{2,3}", _replace, s)
+                if tok == "~~":
+                    return "~"
+                word = self._decode_tok("~" + m.group(2))
+                return tok if word is None else _apply_case(word, m.group(1))
+            return _TOKEN_RE.sub(_replace, s)
         except Exception:
             return _safe_str(text)
 
+    def _decode_tok(self, tok: str) -> Optional[str]:
+        """Word for one unmarked token, or None if this port can't read it."""
+        if tok[1:2] == ".":
+            return self._decode_ext(tok)
+        if len(tok) == 3:
+            return self._decode.get(tok)
+        if len(tok) == 4 and tok[1].isupper():
+            word = _decode_suf_tok(tok)
+            return None if word == tok else word
+        return None
+
+    def _root_word(self, idx: int) -> Optional[str]:
+        """Built-in or custom-zone word for a root index, or None (phrases never are roots)."""
+        if 0 <= idx < len(_WORDS):
+            return _WORDS[idx]
+        if idx < _CUSTOM_FIRST or idx > _CUSTOM_LAST:
+            return None
+        word = self._decode.get(_idx_tok(idx))
+        return word if word is not None and " " not in word else None
+
+    def _decode_ext(self, tok: str) -> Optional[str]:
+        """Word for an extended ~. token (prefix, root, suffix chain), or None."""
+        m = _EXT_RE.match(tok)
+        if not m:
+            return None
+        pre  = _PREFIX_TABLE.get(m.group(1)) if m.group(1) else ""
+        word = self._root_word(_tok_index("~" + m.group(2)))
+        if pre is None or word is None:
+            return None
+        for code in m.group(3):
+            word = _apply_suffix(word, code)
+            if word is None:
+                return None
+        return pre + word
+
     def encode_to_url(self, text: Any) -> str:
         """Encode text and replace spaces with + for URL query params."""
         try:
@@ -919,12 +1107,7 @@ class Symblex:
         """Return word for a token, or None if unknown."""
         try:
             tok = _safe_str(token)
-            if len(tok) == 3:
-                return self._decode.get(tok)
-            if len(tok) == 4 and tok[1].isupper():
-                result = _decode_suf_tok(tok)
-                return None if result == tok else result
-            return None
+            return self._decode_tok(tok) if tok[:1] == "~" and len(tok) >= 3 else None
         except Exception:
             return None
 
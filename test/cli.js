@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ *  Symblex CLI checks
+ * ============================================================
+ *  Runs symblex-cli.js with --json in a temp directory and
+ *  checks the report and the files it writes:
+ *    build    --base token stability and retired decode-only
+ *             slots, custom-root rejection, --rank savings
+ *             order, every --input format, globs and
+ *             directory walks
+ *    verify   errors, --fix to --out and in place (.bak)
+ *    diff     added / removed / re-tokened / reused words
+ *    migrate  text, envelope, --packed and --field entries
+ *             decode the same after the move; lossy entries
+ *    --json   the report shape and exit codes of each command
+ *
+ *  The temp directory is removed afterwards.
+ *
+ *  Usage:
+ *    node test/cli.js
+ * ============================================================
+ */
+
+'use strict';
+
+var fs     = require('fs');
+var os     = require('os');
+var path   = require('path');
+var assert = require('assert');
+var child  = require('child_process');
+var sx     = require('../symblex.js');
+
+var CLI = path.join(__dirname, '..', 'symblex-cli.js');
+var DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'symblex-cli-'));
+
+var passed = 0;
+var failed = [];
+
+function write(name, text) {
+  var fp = path.join(DIR, name);
+  fs.mkdirSync(path.dirname(fp), { recursive: true });
+  fs.writeFileSync(fp, typeof text === 'string' ? text : JSON.stringify(text, null, 2));
+}
+
+function read(name) {
+  return fs.readFileSync(path.join(DIR, name), 'utf8');
+}
+
+function readJSON(name) {
+  return JSON.parse(read(name));
+}
+
+function times(text, n) {
+  return new Array(n + 1).join(text + ' ');
+}
+
+/* Runs the CLI in DIR with --json: { code, report, stdout }. The
+   report is read from stderr when migrate writes data to stdout. */
+function run(args, input) {
+  var res = child.spawnSync(process.execPath, [CLI].concat(args, ['--json']), {
+    cwd: DIR, input: input || '', encoding: 'utf8', timeout: 60000
+  });
+  var toStderr = args[0] === 'migrate' && args.indexOf('--out') < 0;
+  var report   = JSON.parse(toStderr ? res.stderr : res.stdout);
+  /* Every command: the same envelope, and ok matches the exit code */
+  assert.strictEqual(report.command, args[0]);
+  assert.strictEqual(report.ok, res.status === 0);
+  assert.ok(Array.isArray(report.errors) && Array.isArray(report.warnings));
+  return { code: res.status, report: report, stdout: toStderr ? res.stdout : '' };
+}
+
+function words(list) {
+  return list.map(function (e) { return e.word; });
+}
+
+function check(label, fn) {
+  try {
+    fn();
+    passed++;
+  } catch (e) {
+    failed.push(label + ':\n      ' + e.message.split('\n').join('\n      '));
+  }
+}
+
+/* ─── Corpora ────────────────────────────────────────────────── */
+/* None of these words is built in, so each one needs a custom slot */
+write('a.txt', times('the patient had a biopsy and a diagnosis from cardiology.', 4) +
+               times('patients', 3));
+write('b.txt', times('the patient and the diagnosis need nephrology with dialysis.', 4));
+write('rank.txt', times('biopsy', 10) + '.\n' + times('echocardiogram', 6));
+
+/* ─── build ──────────────────────────────────────────────────── */
+check('build / custom-root rejection', function () {
+  var r = run(['build', '--input', 'a.txt', '--out', 'd1.json', '--phrases', '0']);
+  assert.strictEqual(r.code, 0);
+  var d1 = readJSON('d1.json');
+  assert.deepStrictEqual(Object.keys(d1.encode).sort(), ['biopsy', 'cardiology', 'diagnosis', 'patient']);
+  var why = r.report.rejected.filter(function (e) { return e.word === 'patients'; })[0];
+  assert.strictEqual(why.reason, 'custom-stem');
+  var codec = sx.createCodec({ customDict: d1 });
+  assert.ok(/^~\./.test(codec.encode('patients')), codec.encode('patients'));
+  assert.strictEqual(codec.decode(codec.encode('patients')), 'patients');
+});
+
+check('build / --base keeps tokens and retired slots', function () {
+  var base = readJSON('d1.json');
+  base.decode['~zZ'] = 'oldterm';   /* retired: decode only */
+  write('base.json', base);
+  var r = run(['build', '--input', 'b.txt', '--base', 'base.json', '--out', 'd2.json', '--phrases', '0']);
+  assert.strictEqual(r.code, 0);
+  var d2 = readJSON('d2.json');
+  Object.keys(base.encode).forEach(function (w) { assert.strictEqual(d2.encode[w], base.encode[w], w); });
+  assert.strictEqual(d2.decode['~zZ'], 'oldterm');
+  assert.deepStrictEqual(r.report.retired, [{ word: 'oldterm', token: '~zZ' }]);
+  assert.deepStrictEqual(words(r.report.accepted).sort(), ['dialysis', 'nephrology']);
+  var old = Object.keys(base.decode);
+  r.report.accepted.forEach(function (e) { assert.ok(old.indexOf(e.token) < 0, e.token + ' reused'); });
+  assert.deepStrictEqual(r.report.dropped.map(function (e) { return e.word + ': ' + e.reason; }).sort(),
+    ['biopsy: not in corpus', 'cardiology: not in corpus']);
+  /* Text stored with the base dict still decodes */
+  var text = 'the patient had a biopsy from cardiology';
+  var was  = sx.createCodec({ customDict: base }).encode(text);
+  assert.strictEqual(sx.createCodec({ customDict: d2 }).decode(was), text);
+  assert.strictEqual(run(['verify', 'd2.json']).code, 0);
+});
+
+check('build / --rank savings order', function () {
+  var byFreq    = run(['analyse', '--input', 'rank.txt']).report;
+  var bySavings = run(['analyse', '--input', 'rank.txt', '--rank', 'savings']).report;
+  assert.deepStrictEqual(words(byFreq.topWords), ['biopsy', 'echocardiogram']);
+  assert.deepStrictEqual(words(bySavings.topWords), ['echocardiogram', 'biopsy']);
+  assert.strictEqual(bySavings.corpus.ranking, 'savings');
+  var top = function (rank) {
+    var r = run(['build', '--input', 'rank.txt', '--out', 'rank.json', '--top', '1', '--phrases', '0', '--rank', rank]);
+    return words(r.report.accepted);
+  };
+  assert.deepStrictEqual(top('freq'), ['biopsy']);
+  assert.deepStrictEqual(top('savings'), ['echocardiogram']);
+});
+
+/* ─── --input formats ────────────────────────────────────────── */
+/* Each file holds "keepword" twice where it is read, and
+   "dropword" twice where it must not be */
+var FORMATS = [
+  ['plain.txt', 'keepword keepword', []],
+  ['plain.log', '12:00:01 keepword\n12:00:02 keepword', []],
+  ['notes.md', '# keepword\n\nSee [keepword](https://x.io/dropword).\n\n```\ndropword dropword\n```\n', []],
+  ['events.json', JSON.stringify({ events: [{ message: 'keepword' }, { message: 'keepword', dropword: 'dropword' }],
+                                   meta: 'dropword' }), ['--json-path', 'events[].message']],
+  ['events.ndjson', '{"message":"keepword","meta":"dropword"}\nnot json\n{"message":"keepword","meta":"dropword"}\n',
+                    ['--json-path', 'message']],
+  ['events.jsonl', '{"message":"keepword","meta":"dropword"}\n{"message":"keepword","meta":"dropword"}\n',
+                   ['--json-path', 'message']],
+  ['rows.csv', 'id,notes,secret\n1,keepword,dropword\n2,"keepword, again",dropword\n', ['--csv-column', 'notes']],
+  ['page.html', '<p class="dropword">keepword</p><script>dropword()</script><div>keepword &amp;</div>', []],
+  ['page.htm', '<style>.dropword{}</style><b>keepword</b> <i>keepword</i>', []],
+  ['tagged.txt', '<b title="dropword">keepword</b> <i title="dropword">keepword</i>', ['--strip-html']]
+];
+
+FORMATS.forEach(function (f) {
+  write('formats/' + f[0], f[1]);
+  check('--input ' + f[0], function () {
+    var r = run(['analyse', '--input', 'formats/' + f[0]].concat(f[2]));
+    assert.strictEqual(r.code, 0);
+    assert.deepStrictEqual(words(r.report.topWords), ['keepword']);
+    if (f[0] === 'events.ndjson') assert.ok(/skipped 1 line/.test(r.report.warnings.join('\n')), r.report.warnings);
+  });
+});
+
+check('--input unsupported extension', function () {
+  write('formats/paper.pdf', 'keepword keepword');
+  var r = run(['analyse', '--input', 'formats/paper.pdf']);
+  assert.strictEqual(r.code, 1);
+  assert.ok(/Skipping formats\/paper\.pdf/.test(r.report.warnings[0]), r.report.warnings);
+});
+
+/* ─── Globs and directory walks ──────────────────────────────── */
+write('corpus/a.txt', 'keepword keepword');
+write('corpus/sub/b.md', 'keepword keepword');
+write('corpus/sub/c.csv', 'notes\nkeepword\nkeepword\n');
+write('corpus/sub/deep/d.txt', 'keepword keepword');
+write('corpus/sub/skip.pdf', 'dropword dropword');
+write('corpus/.hidden/e.txt', 'dropword dropword');
+write('corpus/node_modules/f.txt', 'dropword dropword');
+
+function filesRead(args) {
+  var r = run(['analyse', '--input'].concat(args));
+  return r.report.files.map(function (f) { return f.file.split(path.sep).join('/'); });
+}
+
+check('--input directory walk', function () {
+  assert.deepStrictEqual(filesRead(['corpus']),
+    ['corpus/a.txt', 'corpus/sub/b.md', 'corpus/sub/c.csv', 'corpus/sub/deep/d.txt']);
+});
+
+check('--input globs', function () {
+  assert.deepStrictEqual(filesRead(['corpus/*.txt']), ['corpus/a.txt']);
+  assert.deepStrictEqual(filesRead(['corpus/**/*.txt']), ['corpus/a.txt', 'corpus/sub/deep/d.txt']);
+  assert.deepStrictEqual(filesRead(['corpus/sub/*.{md,csv}']), ['corpus/sub/b.md', 'corpus/sub/c.csv']);
+  assert.deepStrictEqual(filesRead(['corpus/a.txt', 'corpus/*.txt']), ['corpus/a.txt']);
+  var none = run(['analyse', '--input', 'corpus/*.nope']);
+  assert.strictEqual(none.code, 1);
+  assert.ok(/No files match/.test(none.report.warnings.join('\n')), none.report.warnings);
+});
+
+/* ─── verify --fix ───────────────────────────────────────────── */
+var BROKEN = {
+  encode: { patient: '~oc', diagnosis: '~0c', biopsy: '~od', ab: '~oe' },
+  decode: { '~oc': 'patient', '~0c': 'diagnosis', '~od': 'cardiology' }
+};
+
+check('verify / errors', function () {
+  write('broken.json', BROKEN);
+  var r = run(['verify', 'broken.json']);
+  assert.strictEqual(r.code, 1);
+  assert.ok(r.report.errors.length >= 2, r.report.errors);
+  assert.strictEqual(run(['verify', 'missing.json']).code, 1);
+});
+
+check('verify --fix --out', function () {
+  var r = run(['verify', 'broken.json', '--fix', '--out', 'fixed.json']);
+  assert.strictEqual(r.code, 0);
+  assert.deepStrictEqual(r.report.fixed.errors, []);
+  var fixed = readJSON('fixed.json');
+  assert.strictEqual(fixed.encode.patient, '~oc');
+  assert.ok(/^~[o-z]/.test(fixed.encode.diagnosis), fixed.encode.diagnosis);
+  assert.ok(!('ab' in fixed.encode));
+  Object.keys(fixed.encode).forEach(function (w) { assert.strictEqual(fixed.decode[fixed.encode[w]], w); });
+  assert.deepStrictEqual(JSON.parse(read('broken.json')), BROKEN);
+  var again = run(['verify', 'fixed.json']);
+  assert.strictEqual(again.code, 0);
+  assert.deepStrictEqual(again.report.errors, []);
+});
+
+check('verify --fix in place', function () {
+  write('inplace.json', BROKEN);
+  assert.strictEqual(run(['verify', 'inplace.json', '--fix']).code, 0);
+  assert.deepStrictEqual(readJSON('inplace.json.bak'), BROKEN);
+  assert.strictEqual(run(['verify', 'inplace.json']).code, 0);
+  var r = run(['verify', 'inplace.json', '--fix']);
+  assert.strictEqual(r.code, 0);
+  assert.ok(!r.report.fixed);
+});
+
+/* ─── diff ───────────────────────────────────────────────────── */
+/* d1 with its tokens rotated: every word re-tokened, every token reused */
+var d1      = readJSON('d1.json');
+var d1Words = Object.keys(d1.encode).sort();
+var moved   = { encode: {}, decode: {} };
+d1Words.forEach(function (w, i) {
+  var tok = d1.encode[d1Words[(i + 1) % d1Words.length]];
+  moved.encode[w]   = tok;
+  moved.decode[tok] = w;
+});
+write('moved.json', moved);
+
+check('diff', function () {
+  var r = run(['diff', 'd1.json', 'd2.json']);
+  assert.strictEqual(r.code, 0);
+  assert.deepStrictEqual(words(r.report.added), ['dialysis', 'nephrology']);
+  assert.deepStrictEqual(r.report.removed, []);
+  assert.deepStrictEqual(r.report.retokened, []);
+  var same = run(['diff', 'd1.json', 'd1.json']).report;
+  assert.strictEqual(same.unchanged, d1Words.length);
+  var rot = run(['diff', 'd1.json', 'moved.json']).report;
+  assert.deepStrictEqual(words(rot.retokened), d1Words);
+  assert.strictEqual(rot.reused.length, d1Words.length);
+  assert.strictEqual(run(['diff', 'd1.json']).code, 1);
+});
+
+/* ─── migrate ────────────────────────────────────────────────── */
+var oldCodec = sx.createCodec({ customDict: d1 });
+var newCodec = sx.createCodec({ customDict: moved });
+var TEXTS    = ['the patient had a biopsy', 'Diagnosis from cardiology', 'two patients, one diagnosis'];
+
+check('migrate / text and envelopes round-trip', function () {
+  var lines = TEXTS.map(function (t) { return oldCodec.encode(t, { preserveCase: true }); });
+  lines.push(oldCodec.encode(TEXTS[0], { envelope: true }));
+  lines.push('plain text, never encoded');
+  write('data.txt', lines.join('\n') + '\n');
+  var r = run(['migrate', 'd1.json', 'moved.json', '--file', 'data.txt', '--out', 'data.new.txt']);
+  assert.strictEqual(r.code, 0);
+  assert.strictEqual(r.report.entries, 5);
+  assert.strictEqual(r.report.plain, 1);
+  var out = read('data.new.txt').split('\n');
+  assert.strictEqual(out.pop(), '');
+  TEXTS.forEach(function (t, i) {
+    assert.notStrictEqual(out[i], lines[i]);
+    assert.strictEqual(newCodec.decode(out[i]), t);
+  });
+  assert.strictEqual(out[3].slice(0, 9), '~..' + newCodec.fingerprint());
+  assert.strictEqual(newCodec.decode(out[3]), TEXTS[0]);
+  assert.strictEqual(out[4], lines[4]);
+});
+
+check('migrate / --packed from stdin', function () {
+  var lines = TEXTS.map(function (t) { return oldCodec.packToBase64url(t, { envelope: true, checksum: true }); });
+  var r = run(['migrate', 'd1.json', 'moved.json', '--packed'], lines.join('\n') + '\n');
+  assert.strictEqual(r.code, 0);
+  r.stdout.trim().split('\n').forEach(function (line, i) {
+    assert.strictEqual(newCodec.unpackFromBase64url(line, { strict: true }), TEXTS[i].toLowerCase());
+  });
+});
+
+check('migrate / --field', function () {
+  var lines = TEXTS.map(function (t, i) {
+    return JSON.stringify({ id: i, payload: { text: oldCodec.encode(t) } });
+  });
+  write('events.ndjson', lines.join('\n') + '\n');
+  var r = run(['migrate', 'd1.json', 'moved.json', '--file', 'events.ndjson', '--field', 'payload.text',
+               '--out', 'events.new.ndjson']);
+  assert.strictEqual(r.code, 0);
+  read('events.new.ndjson').trim().split('\n').forEach(function (line, i) {
+    var doc = JSON.parse(line);
+    assert.strictEqual(doc.id, i);
+    assert.strictEqual(newCodec.decode(doc.payload.text), TEXTS[i].toLowerCase());
+  });
+});
+
+check('migrate / lossy entries and bad options', function () {
+  write('lossy.txt', 'bad ~zq token\n' + oldCodec.encode('the patient') + '\n');
+  var r = run(['migrate', 'd1.json', 'moved.json', '--file', 'lossy.txt', '--out', 'lossy.new.txt']);
+  assert.strictEqual(r.code, 1);
+  assert.deepStrictEqual(r.report.lossy.map(function (e) { return e.line; }), [1]);
+  assert.strictEqual(read('lossy.new.txt').split('\n')[0], 'bad ~zq token');
+  assert.strictEqual(run(['migrate', 'd1.json', 'moved.json', '--input', 'lossy.txt']).code, 1);
+  assert.strictEqual(run(['migrate', 'd1.json', 'moved.json', '--file', 'lossy.txt', '--out', 'lossy.txt']).code, 1);
+});
+
+/* ─── --json shape and exit codes ────────────────────────────── */
+check('--json / info, test and bad options', function () {
+  var info = run(['info']);
+  assert.strictEqual(info.code, 0);
+  assert.strictEqual(info.report.custom.capacity, 732);
+  var t = run(['test', 'working together toward freedom']);
+  assert.strictEqual(t.code, 0);
+  assert.strictEqual(t.report.roundtrip, true);
+  assert.strictEqual(t.report.encoded, '~ng ~kQ ~l6 ~7N');
+  assert.strictEqual(run(['test']).code, 1);
+  assert.strictEqual(run(['build']).code, 1);
+  assert.strictEqual(run(['build', '--input', 'a.txt', '--rank', 'loudest']).code, 1);
+  var b = run(['build', '--input', 'a.txt', '--out', 'shape.json']).report;
+  ['files', 'scanned', 'capacity', 'ranking', 'phrases', 'accepted', 'rejected', 'output', 'tokenRange', 'coverage']
+    .forEach(function (k) { assert.ok(k in b, 'build report has no ' + k); });
+  assert.deepStrictEqual(Object.keys(b.accepted[0]), ['word', 'token', 'freq', 'gain', 'saved']);
+});
+
+fs.rmSync(DIR, { recursive: true, force: true });
+
+failed.forEach(function (msg) { console.log('  ✗  ' + msg); });
+console.log('  ' + passed + ' passed, ' + failed.length + ' failed');
+if (failed.length) process.exitCode = 1;
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ *  Symblex conformance runner
+ * ============================================================
+ *  Checks symblex.js against test/conformance.json — a
+ *  language-neutral corpus of symblex.js outputs.
+ *
+ *  Each suite may carry a customDict (loaded into a fresh
+ *  codec), setup steps run on that codec in order
+ *  ({ replaceCustomDict: dict } or { unloadCustomDict: true }),
+ *  and the dictionary fingerprint it must give then. Each
+ *  case has an input, optional options, and the expected:
+ *    encode     encode(input, options)
+ *    decode     decode(encode)
+ *    url        encodeToURL(input, options)
+ *    urlDecode  decodeFromURL(url)
+ *    pack       packToBase64url(input, options)
+ *    packV2     the same with packVersion: 2
+ *    unpack     unpackFromBase64url of both, and unpack(pack())
+ *    stats      stats(input, options)
+ *
+ *  A suite's streams feed their chunks to createEncodeStream
+ *  and createPackStream, and the decode / unpack streams get
+ *  that output 3 chars at a time. Each output must also equal
+ *  the one-shot method on the whole input.
+ *
+ *  A suite's rejects are payloads (or encoded text) the codec
+ *  must refuse. `error` is the SymblexError code of a strict
+ *  unpack — from unpackFromBase64url and createUnpackStream;
+ *  `unpack` / `decode` is the non-strict result and
+ *  `onMismatch` every call the callback got.
+ *
+ *  A case's or stream's `python` field lists the outputs
+ *  symblex.py must match too. test/conformance.py checks them,
+ *  and this runner skips the field (--update keeps it).
+ *
+ *  Usage:
+ *    node test/conformance.js            Run the corpus
+ *    node test/conformance.js --update   Rewrite the expected
+ *                                        outputs from symblex.js
+ *                                        (never the error codes)
+ * ============================================================
+ */
+
+'use strict';
+
+var fs     = require('fs');
+var path   = require('path');
+var assert = require('assert');
+var sx     = require('../symblex.js');
+
+var FIXTURE = path.join(__dirname, 'conformance.json');
+var update  = process.argv.indexOf('--update') !== -1;
+var corpus  = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+
+var STREAM_PIECE = 3;
+
+function codecFor(suite) {
+  var codec = suite.customDict ? sx.createCodec({ customDict: suite.customDict }) : sx.createCodec();
+  (suite.setup || []).forEach(function (step) {
+    if (step.replaceCustomDict) codec.replaceCustomDict(step.replaceCustomDict);
+    if (step.unloadCustomDict)  codec.unloadCustomDict();
+  });
+  return codec;
+}
+
+function withOption(options, key, value) {
+  var o = {};
+  for (var k in options) o[k] = options[k];
+  o[key] = value;
+  return o;
+}
+
+function pieces(text) {
+  var out = [];
+  for (var i = 0; i < text.length; i += STREAM_PIECE) out.push(text.slice(i, i + STREAM_PIECE));
+  return out;
+}
+
+/* Every output of one case, in fixture field order */
+function outputs(codec, c) {
+  var o       = c.options || {};
+  var encoded = codec.encode(c.input, o);
+  var url     = codec.encodeToURL(c.input, o);
+  var pack    = codec.packToBase64url(c.input, o);
+  var packV2  = codec.packToBase64url(c.input, withOption(o, 'packVersion', 2));
+  return {
+    encode:    encoded,
+    decode:    codec.decode(encoded),
+    url:       url,
+    urlDecode: codec.decodeFromURL(url),
+    pack:      pack,
+    packV2:    packV2,
+    unpack:    codec.unpackFromBase64url(pack),
+    unpackV2:  codec.unpackFromBase64url(packV2),
+    bytes:     codec.unpack(codec.pack(c.input, o)),
+    stats:     codec.stats(c.input, o)
+  };
+}
+
+function expectations(out) {
+  return {
+    encode:    out.encode,
+    decode:    out.decode,
+    url:       out.url,
+    urlDecode: out.urlDecode,
+    pack:      out.pack,
+    packV2:    out.packV2,
+    unpack:    out.unpack,
+    stats:     out.stats
+  };
+}
+
+/* Each check is [label, actual, expected field] */
+function checks(out) {
+  return [
+    ['encode',                 out.encode,    'encode'],
+    ['decode',                 out.decode,    'decode'],
+    ['encodeToURL',            out.url,       'url'],
+    ['decodeFromURL',          out.urlDecode, 'urlDecode'],
+    ['packToBase64url',        out.pack,      'pack'],
+    ['packToBase64url v2',     out.packV2,    'packV2'],
+    ['unpackFromBase64url',    out.unpack,    'unpack'],
+    ['unpackFromBase64url v2', out.unpackV2,  'unpack'],
+    ['unpack(pack())',         out.bytes,     'unpack'],
+    ['stats',                  out.stats,     'stats']
+  ];
+}
+
+/* Writes chunks to a stream; cb(err, output text) */
+function runStream(stream, chunks, cb) {
+  var out = [];
+  stream.on('data', function (d) { out.push(Buffer.from(d)); });
+  stream.on('error', function (e) { cb(e); });
+  stream.on('end', function () { cb(null, Buffer.concat(out).toString('utf8')); });
+  chunks.forEach(function (chunk) { stream.write(chunk); });
+  stream.end();
+}
+
+/* Stream outputs of one case; cb(outputs) */
+function streamOutputs(codec, c, cb) {
+  var o   = c.options || {};
+  var out = {};
+  runStream(codec.createEncodeStream(o), c.chunks, function (e1, encoded) {
+    out.encode = e1 ? e1 : encoded;
+    runStream(codec.createDecodeStream(), pieces(e1 ? '' : encoded), function (e2, decoded) {
+      out.decode = e2 ? e2 : decoded;
+      runStream(codec.createPackStream(o), c.chunks, function (e3, packed) {
+        out.pack = e3 ? e3 : packed;
+        runStream(codec.createUnpackStream(), pieces(e3 ? '' : packed), function (e4, unpacked) {
+          out.unpack = e4 ? e4 : unpacked;
+          cb(out);
+        });
+      });
+    });
+  });
+}
+
+/* Each check is [label, actual, expected] */
+function streamChecks(codec, c, out) {
+  var o     = c.options || {};
+  var whole = c.chunks.join('');
+  return [
+    ['createEncodeStream',              out.encode, c.encode],
+    ['createDecodeStream',              out.decode, c.decode],
+    ['createPackStream',                out.pack,   c.pack],
+    ['createUnpackStream',              out.unpack, c.unpack],
+    ['createEncodeStream = encode',     out.encode, codec.encode(whole, o)],
+    ['createDecodeStream = decode',     out.decode, codec.decode(out.encode)],
+    ['createPackStream = pack',         out.pack,   codec.packToBase64url(whole, o)],
+    ['createUnpackStream = unpack',     out.unpack, codec.unpackFromBase64url(out.pack)]
+  ];
+}
+
+/* Non-strict result of a reject and the onMismatch calls it made */
+function rejectOutputs(codec, c) {
+  var calls = [];
+  var o     = { onMismatch: function (info) { calls.push(info); } };
+  var out   = 'payload' in c ? { unpack: codec.unpackFromBase64url(c.payload, o) }
+                             : { decode: codec.decode(c.text, o) };
+  out.onMismatch = calls;
+  return out;
+}
+
+/* SymblexError code a strict unpack throws, or null */
+function strictError(codec, payload) {
+  try {
+    codec.unpackFromBase64url(payload, { strict: true });
+    return null;
+  } catch (e) {
+    return e instanceof sx.SymblexError ? e.code : String(e);
+  }
+}
+
+function main() {
+  var passed = 0;
+  var failed = [];
+  var jobs   = [];   /* stream cases, run one after another */
+
+  function check(label, actual, expected) {
+    try {
+      assert.deepStrictEqual(actual, expected);
+      passed++;
+    } catch (e) {
+      failed.push(label + ':\n' +
+        '      got      ' + JSON.stringify(actual instanceof Error ? actual.message : actual) + '\n' +
+        '      expected ' + JSON.stringify(expected));
+    }
+  }
+
+  corpus.suites.forEach(function (suite) {
+    var codec = codecFor(suite);
+    if (update) suite.fingerprint = codec.fingerprint();
+    else if (codec.fingerprint() !== suite.fingerprint) {
+      failed.push(suite.name + ': fingerprint ' + codec.fingerprint() + ', expected ' + suite.fingerprint);
+    }
+
+    suite.cases.forEach(function (c) {
+      var out = outputs(codec, c);
+      if (update) {
+        var exp = expectations(out);
+        for (var k in exp) c[k] = exp[k];
+        return;
+      }
+      checks(out).forEach(function (chk) {
+        if (!(chk[2] in c)) return;
+        check(suite.name + ' / ' + c.name + ' / ' + chk[0], chk[1], c[chk[2]]);
+      });
+    });
+
+    /* The error code is the spec, so --update checks it too */
+    (suite.rejects || []).forEach(function (c) {
+      var label = suite.name + ' / ' + c.name;
+      var out   = rejectOutputs(codec, c);
+      if ('payload' in c) {
+        check(label + ' / strict unpackFromBase64url', strictError(codec, c.payload), c.error);
+        jobs.push(function (next) {
+          runStream(codec.createUnpackStream({ strict: true }), pieces(c.payload), function (e) {
+            check(label + ' / strict createUnpackStream', e ? e.code : null, c.error);
+            next();
+          });
+        });
+      }
+      if (update) {
+        for (var k in out) c[k] = out[k];
+        return;
+      }
+      for (var f in out) check(label + ' / ' + f, out[f], c[f]);
+    });
+
+    (suite.streams || []).forEach(function (c) {
+      jobs.push(function (next) {
+        streamOutputs(codec, c, function (out) {
+          if (update) {
+            for (var k in out) c[k] = out[k];
+          } else {
+            streamChecks(codec, c, out).forEach(function (chk) {
+              check(suite.name + ' / ' + c.name + ' / ' + chk[0], chk[1], chk[2]);
+            });
+          }
+          next();
+        });
+      });
+    });
+  });
+
+  (function next() {
+    if (jobs.length) return jobs.shift()(next);
+    report(passed, failed);
+  })();
+}
+
+function report(passed, failed) {
+  failed.forEach(function (msg) { console.log('  ✗  ' + msg); });
+  if (update) {
+    if (failed.length) {
+      console.log('  Not updated: ' + failed.length + ' error code(s) differ');
+      process.exitCode = 1;
+      return;
+    }
+    fs.writeFileSync(FIXTURE, JSON.stringify(corpus, null, 2) + '\n');
+    console.log('  Updated ' + path.relative(process.cwd(), FIXTURE));
+    return;
+  }
+  console.log('  ' + passed + ' passed, ' + failed.length + ' failed');
+  if (failed.length) process.exitCode = 1;
+}
+
+main();
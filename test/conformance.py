@@ -0,0 +1,102 @@
+#!/usr/bin/env python3
+"""
+Symblex conformance runner (Python)
+===================================
+Checks symblex.py against the part of test/conformance.json it
+implements. Each case or stream lists that part in its "python"
+field, out of:
+
+    encode     sx.encode(input)
+    decode     sx.decode(encode), so symblex.py reads what
+               symblex.js writes
+    url        sx.encode_to_url(input)
+    urlDecode  sx.decode_from_url(url)
+
+symblex.py has no streams, so a stream's fields are checked on
+its chunks joined. Options, pack, stats (snake_case keys in
+Python), rejects and fingerprints stay symblex.js only.
+It cannot replace or unload a custom dictionary, so each suite
+gets a fresh Symblex with the dictionary its setup steps end on.
+
+Usage:
+    python3 test/conformance.py
+"""
+
+import os
+import sys
+import json
+
+ROOT = os.path.join(os.path.dirname(os.path.abspath(__file__)), "..")
+sys.path.insert(0, ROOT)
+
+from symblex import Symblex  # noqa: E402
+
+FIXTURE = os.path.join(ROOT, "test", "conformance.json")
+
+
+def codec_for(suite):
+    """Fresh Symblex holding the suite's dictionary after setup."""
+    custom = suite.get("customDict")
+    for step in suite.get("setup", []):
+        if "replaceCustomDict" in step:
+            custom = step["replaceCustomDict"]
+        if step.get("unloadCustomDict"):
+            custom = None
+    sx = Symblex()
+    if custom:
+        sx.load_custom_dict(custom)
+    return sx
+
+
+def outputs(sx, text, c):
+    """Every output a "python" field can name, for input `text`."""
+    return {
+        "encode":    lambda: sx.encode(text),
+        "decode":    lambda: sx.decode(c["encode"]),
+        "url":       lambda: sx.encode_to_url(text),
+        "urlDecode": lambda: sx.decode_from_url(c["url"]),
+    }
+
+
+def main():
+    # Symblex() loads it too, and the corpus expects a clean dictionary
+    if os.path.isfile(os.path.join(ROOT, "symblex-custom.json")):
+        print("  ✗  symblex-custom.json next to symblex.py would be loaded into every suite; move it away first")
+        return 1
+
+    with open(FIXTURE, encoding="utf-8") as f:
+        corpus = json.load(f)
+
+    passed = 0
+    failed = []
+
+    def check(label, actual, expected):
+        nonlocal passed
+        if actual == expected:
+            passed += 1
+        else:
+            failed.append(label + ":\n"
+                          "      got      " + json.dumps(actual, ensure_ascii=False) + "\n"
+                          "      expected " + json.dumps(expected, ensure_ascii=False))
+
+    for suite in corpus["suites"]:
+        sx = codec_for(suite)
+        entries = [(c, c.get("input")) for c in suite["cases"]]
+        entries += [(c, "".join(c["chunks"])) for c in suite.get("streams", [])]
+        for c, text in entries:
+            out = outputs(sx, text, c)
+            for field in c.get("python", []):
+                label = suite["name"] + " / " + c["name"] + " / " + field
+                if field not in out:
+                    failed.append(label + ": not a field symblex.py can be checked on")
+                    continue
+                check(label, out[field](), c[field])
+
+    for msg in failed:
+        print("  ✗  " + msg)
+    print("  " + str(passed) + " passed, " + str(len(failed)) + " failed")
+    return 1 if failed else 0
+
+
+if __name__ == "__main__":
+    sys.exit(main())
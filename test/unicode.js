@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * ============================================================
+ *  Symblex Unicode pack round-trips
+ * ============================================================
+ *  Non-ASCII text is packed one code point at a time through
+ *  the Unicode literal opcode. Every string below must come
+ *  back from each pack path exactly as it went in:
+ *    v1, v2, preserveCase, and pack()/unpack() bytes.
+ *
+ *  Covers the BMP edges, astral planes, surrogate pairs split
+ *  by ZWJ and modifiers, and lone surrogates, which pack as
+ *  their own 16-bit value.
+ *
+ *  Usage:
+ *    node test/unicode.js
+ * ============================================================
+ */
+
+'use strict';
+
+var assert = require('assert');
+var sx     = require('../symblex.js');
+
+var CASES = [
+  ['latin-1',           'café naïve façade'],
+  ['latin extended',    'Straße ÜBER Łódź'],
+  ['bmp edges',         '\u0080 ߿ ࠀ � ￿'],
+  ['cyrillic',          'Привет мир'],
+  ['cjk',               '你好 世界 日本語'],
+  ['arabic',            'مرحبا بالعالم'],
+  ['astral emoji',      'ship it 🚀🎉'],
+  ['astral math',       '𝔸𝔹ℂ 𝕩 = 𝟙'],
+  ['astral top',        '􏿿'],
+  ['emoji modifier',    '👋🏽 hello'],
+  ['zwj sequence',      'family 👨‍👩‍👧‍👦 here'],
+  ['flag pair',         '🇮🇳🇬🇧'],
+  ['lone high',         '\uD800'],
+  ['lone low',          '\uDC00'],
+  ['lone high in word', 'ab\uD83Dcd'],
+  ['lone low in word',  'ab\uDE80cd'],
+  ['reversed pair',     '\uDE80\uD83D'],
+  ['two high',          '\uD83D\uD83D'],
+  ['mixed',             'the café 你好 🚀 \uD800 working together']
+];
+
+var PATHS = [
+  ['v1',           function (s) { return sx.unpackFromBase64url(sx.packToBase64url(s)); }],
+  ['v2',           function (s) { return sx.unpackFromBase64url(sx.packToBase64url(s, { packVersion: 2 })); }],
+  ['preserveCase', function (s) { return sx.unpackFromBase64url(sx.packToBase64url(s, { preserveCase: true })); }],
+  ['bytes',        function (s) { return sx.unpack(sx.pack(s)); }],
+  ['strict',       function (s) { return sx.unpackFromBase64url(sx.packToBase64url(s, { checksum: true }), { strict: true }); }]
+];
+
+var passed = 0;
+var failed = [];
+
+CASES.forEach(function (c) {
+  PATHS.forEach(function (p) {
+    var got;
+    try {
+      got = p[1](c[1]);
+      assert.strictEqual(got, c[1]);
+      passed++;
+    } catch (e) {
+      failed.push(c[0] + ' / ' + p[0] + ':\n' +
+        '      got      ' + JSON.stringify(got) + '\n' +
+        '      expected ' + JSON.stringify(c[1]));
+    }
+  });
+});
+
+failed.forEach(function (msg) { console.log('  ✗  ' + msg); });
+console.log('  ' + passed + ' passed, ' + failed.length + ' failed');
+if (failed.length) process.exitCode = 1;